@@ -3,10 +3,15 @@ import { GameProvider, useGame } from './context/GameContext';
 import Lobby from './components/Lobby';
 import WaitingRoom from './components/WaitingRoom';
 import GameRoom from './components/GameRoom';
+import ReplayViewer from './components/ReplayViewer';
 import InstallPrompt from './components/InstallPrompt';
 
 function AppContent() {
-  const { roomId, roomState } = useGame();
+  const { roomId, roomState, replay } = useGame();
+
+  if (replay) {
+    return <ReplayViewer />;
+  }
 
   if (!roomId) {
     return <Lobby />;
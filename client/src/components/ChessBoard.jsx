@@ -1,18 +1,39 @@
-import React, { useState, useCallback, useEffect, useRef, forwardRef, useImperativeHandle } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef, forwardRef, useImperativeHandle } from 'react';
 import { useGame } from '../context/GameContext';
+import { PIECE_SYMBOLS, getLegalMoves, getValidDropSquares } from '@shared/chess';
+import { getOpponent } from '@shared/seating';
 import ChessPiece from './ChessPiece';
 
-const PIECE_SYMBOLS = {
-  k: { w: '♔', b: '♚' },
-  q: { w: '♕', b: '♛' },
-  r: { w: '♖', b: '♜' },
-  b: { w: '♗', b: '♝' },
-  n: { w: '♘', b: '♞' },
-  p: { w: '♙', b: '♟' }
-};
-
-const ChessBoard = forwardRef(function ChessBoard({ boardIndex, board, isPlayerBoard, playerColor, currentTurn, isMainBoard = true }, ref) {
-  const { getLegalMoves, makeMove, dropPiece, getDropSquares, playerPosition, gameState } = useGame();
+// Kept as one array so boards without premoves don't re-memoise every render
+const NO_PREMOVES = [];
+
+const squareName = ({ row, col }) => `${String.fromCharCode(97 + col)}${8 - row}`;
+
+function formatPremove(premove) {
+  if (premove.pieceType) {
+    return `${premove.pieceType.toUpperCase()}@${squareName(premove)}`;
+  }
+  return `${squareName(premove.from)}-${squareName(premove.to)}${premove.promotion ? `=${premove.promotion.toUpperCase()}` : ''}`;
+}
+
+// The board as it will look once the queued premoves have been played
+function applyPremoves(board, premoves, color) {
+  if (premoves.length === 0) return board;
+  const next = board.map(row => [...row]);
+  premoves.forEach(premove => {
+    if (premove.pieceType) {
+      next[premove.row][premove.col] = { type: premove.pieceType, color };
+    } else {
+      const piece = next[premove.from.row][premove.from.col];
+      next[premove.from.row][premove.from.col] = null;
+      next[premove.to.row][premove.to.col] = piece && premove.promotion ? { ...piece, type: premove.promotion } : piece;
+    }
+  });
+  return next;
+}
+
+const ChessBoard = forwardRef(function ChessBoard({ boardIndex, board, isPlayerBoard, playerColor, currentTurn, isMainBoard = true, flipped, boardState, lastMove }, ref) {
+  const { makeMove, dropPiece, playerPosition, gameState, roomState, premoves, queuePremove, clearPremoves, rejectedMove } = useGame();
   const [selectedSquare, setSelectedSquare] = useState(null);
   const [legalMoves, setLegalMoves] = useState([]);
   const [dropSquares, setDropSquares] = useState([]);
@@ -22,23 +43,86 @@ const ChessBoard = forwardRef(function ChessBoard({ boardIndex, board, isPlayerB
   const boardRef = useRef(null);
 
   // Flip board based on player color - black sees board flipped
-  const shouldFlip = playerColor === 'b';
+  const shouldFlip = flipped ?? playerColor === 'b';
+  // Check/waiting status comes from the live game unless given explicitly (replays)
+  const status = boardState ?? gameState?.boards[boardIndex];
 
   // Check if it's player's turn
   const isMyTurn = isPlayerBoard && currentTurn === playerColor;
+  // Off turn, moves on our board are queued as premoves instead
+  const isPremoving = isPlayerBoard && !isMyTurn && gameState?.state === 'playing';
+  const queuedPremoves = isPlayerBoard ? premoves : NO_PREMOVES;
+  // Our move the server turned down, briefly marked after it was taken back
+  const rejected = isPlayerBoard && rejectedMove?.boardIndex === boardIndex ? rejectedMove.move : null;
+  const displayBoard = useMemo(
+    () => applyPremoves(board, queuedPremoves, playerColor),
+    [board, queuedPremoves, playerColor]
+  );
 
-  // Clear selection when turn changes or game state updates
+  // Clear selection when turn changes or a move is played on this board
   useEffect(() => {
     setSelectedSquare(null);
     setLegalMoves([]);
     setDropSquares([]);
     setDroppingPiece(null);
-  }, [currentTurn, gameState?.boards]);
+  }, [currentTurn, status?.moveHistory?.length]);
+
+  // Premoves are only checked by the server when they are played, so any
+  // square will do; they start from the board with earlier premoves applied
+  const handlePremoveClick = useCallback((row, col) => {
+    const piece = displayBoard[row][col];
 
-  const handleSquareClick = useCallback(async (row, col) => {
+    if (droppingPiece) {
+      if (!piece) {
+        queuePremove({ pieceType: droppingPiece, row, col });
+      }
+      setDroppingPiece(null);
+      return;
+    }
+
+    if (piece && piece.color === playerColor) {
+      const isSame = selectedSquare?.row === row && selectedSquare?.col === col;
+      setSelectedSquare(isSame ? null : { row, col });
+      return;
+    }
+
+    if (selectedSquare) {
+      const selectedPiece = displayBoard[selectedSquare.row][selectedSquare.col];
+      const promotionRow = playerColor === 'w' ? 0 : 7;
+      if (selectedPiece?.type === 'p' && row === promotionRow) {
+        setPromotionSquare({ row, col, from: selectedSquare, premove: true });
+        return;
+      }
+      queuePremove({ from: selectedSquare, to: { row, col } });
+      setSelectedSquare(null);
+      return;
+    }
+
+    // Tapping anywhere else clears the queue
+    if (queuedPremoves.length > 0) {
+      clearPremoves();
+    }
+  }, [displayBoard, droppingPiece, selectedSquare, playerColor, queuedPremoves, queuePremove, clearPremoves]);
+
+  const handleContextMenu = (e) => {
+    if (!isPlayerBoard || (queuedPremoves.length === 0 && !selectedSquare && !droppingPiece)) return;
+    e.preventDefault();
+    if (queuedPremoves.length > 0) {
+      clearPremoves();
+    }
+    setSelectedSquare(null);
+    setDroppingPiece(null);
+  };
+
+  const handleSquareClick = useCallback((row, col) => {
     if (!isPlayerBoard) return;
     if (promotionSquare) return;
 
+    if (isPremoving) {
+      handlePremoveClick(row, col);
+      return;
+    }
+
     // If dropping a piece
     if (droppingPiece) {
       const isValidDrop = dropSquares.some(s => s.row === row && s.col === col);
@@ -82,9 +166,8 @@ const ChessBoard = forwardRef(function ChessBoard({ boardIndex, board, isPlayerB
           setLegalMoves([]);
           return;
         }
-        const response = await getLegalMoves(boardIndex, row, col);
         setSelectedSquare({ row, col });
-        setLegalMoves(response.moves || []);
+        setLegalMoves(getLegalMoves(status, row, col));
         return;
       }
 
@@ -96,33 +179,35 @@ const ChessBoard = forwardRef(function ChessBoard({ boardIndex, board, isPlayerB
 
     // No square selected - select if it's own piece and own turn
     if (piece && piece.color === playerColor && isMyTurn) {
-      const response = await getLegalMoves(boardIndex, row, col);
       setSelectedSquare({ row, col });
-      setLegalMoves(response.moves || []);
+      setLegalMoves(getLegalMoves(status, row, col));
     }
-  }, [isPlayerBoard, selectedSquare, legalMoves, board, playerColor, isMyTurn, droppingPiece, dropSquares, boardIndex, getLegalMoves, makeMove, dropPiece, promotionSquare]);
+  }, [isPlayerBoard, selectedSquare, legalMoves, board, playerColor, isMyTurn, droppingPiece, dropSquares, boardIndex, status, makeMove, dropPiece, promotionSquare, isPremoving, handlePremoveClick]);
 
   const handlePromotion = (pieceType) => {
     if (!promotionSquare) return;
-    makeMove(boardIndex, promotionSquare.from, { row: promotionSquare.row, col: promotionSquare.col }, pieceType);
+    const to = { row: promotionSquare.row, col: promotionSquare.col };
+    if (promotionSquare.premove) {
+      queuePremove({ from: promotionSquare.from, to, promotion: pieceType });
+    } else {
+      makeMove(boardIndex, promotionSquare.from, to, pieceType);
+    }
     setPromotionSquare(null);
     setSelectedSquare(null);
     setLegalMoves([]);
   };
 
   const handleDragStart = useCallback((e, row, col) => {
-    if (!isPlayerBoard || !isMyTurn) return;
-    const piece = board[row][col];
+    if (!isPlayerBoard || (!isMyTurn && !isPremoving)) return;
+    const piece = displayBoard[row][col];
     if (!piece || piece.color !== playerColor) return;
 
     setDraggedPiece({ row, col, piece });
     e.dataTransfer.effectAllowed = 'move';
+    if (isPremoving) return;
 
-    // Get legal moves for this piece
-    getLegalMoves(boardIndex, row, col).then(response => {
-      setLegalMoves(response.moves || []);
-    });
-  }, [isPlayerBoard, isMyTurn, board, playerColor, boardIndex, getLegalMoves]);
+    setLegalMoves(getLegalMoves(status, row, col));
+  }, [isPlayerBoard, isMyTurn, isPremoving, displayBoard, playerColor, status]);
 
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -132,6 +217,24 @@ const ChessBoard = forwardRef(function ChessBoard({ boardIndex, board, isPlayerB
   const handleDrop = useCallback((e, row, col) => {
     e.preventDefault();
 
+    if (isPremoving) {
+      if (droppingPiece && !displayBoard[row][col]) {
+        queuePremove({ pieceType: droppingPiece, row, col });
+      } else if (draggedPiece && (draggedPiece.row !== row || draggedPiece.col !== col)) {
+        const promotionRow = playerColor === 'w' ? 0 : 7;
+        const from = { row: draggedPiece.row, col: draggedPiece.col };
+        if (draggedPiece.piece.type === 'p' && row === promotionRow) {
+          setPromotionSquare({ row, col, from, premove: true });
+        } else {
+          queuePremove({ from, to: { row, col } });
+        }
+      }
+      setDroppingPiece(null);
+      setDraggedPiece(null);
+      setSelectedSquare(null);
+      return;
+    }
+
     if (droppingPiece) {
       const isValidDrop = dropSquares.some(s => s.row === row && s.col === col);
       if (isValidDrop) {
@@ -166,7 +269,7 @@ const ChessBoard = forwardRef(function ChessBoard({ boardIndex, board, isPlayerB
     setDraggedPiece(null);
     setLegalMoves([]);
     setSelectedSquare(null);
-  }, [draggedPiece, legalMoves, makeMove, boardIndex, board, playerColor, droppingPiece, dropSquares, dropPiece]);
+  }, [draggedPiece, legalMoves, makeMove, boardIndex, board, playerColor, droppingPiece, dropSquares, dropPiece, isPremoving, displayBoard, queuePremove]);
 
   const handleDragEnd = useCallback(() => {
     setDraggedPiece(null);
@@ -176,15 +279,29 @@ const ChessBoard = forwardRef(function ChessBoard({ boardIndex, board, isPlayerB
   }, [selectedSquare]);
 
   // Handle piece drop from bank
-  const handleBankPieceDrop = useCallback(async (pieceType) => {
-    if (!isPlayerBoard || !isMyTurn) return;
+  const handleBankPieceDrop = useCallback((pieceType) => {
+    if (!isPlayerBoard) return;
 
-    const response = await getDropSquares(pieceType);
-    setDropSquares(response.squares || []);
+    // Pre-drops may name a piece we don't have yet
+    if (isPremoving) {
+      setDroppingPiece(pieceType);
+      setDropSquares([]);
+      setSelectedSquare(null);
+      return;
+    }
+
+    const bank = gameState?.pieceBanks[playerPosition] || [];
+    if (!isMyTurn || !bank.some(p => p.type === pieceType)) return;
+
+    // Same options the server checks the drop against
+    setDropSquares(getValidDropSquares(board, pieceType, playerColor, {
+      bank: gameState.pieceBanks[getOpponent(playerPosition)],
+      rules: roomState?.rules
+    }));
     setDroppingPiece(pieceType);
     setSelectedSquare(null);
     setLegalMoves([]);
-  }, [isPlayerBoard, isMyTurn, getDropSquares]);
+  }, [isPlayerBoard, isMyTurn, isPremoving, gameState, roomState, playerPosition, board, playerColor]);
 
   // Expose drop handler to parent via ref
   useImperativeHandle(ref, () => ({
@@ -196,7 +313,7 @@ const ChessBoard = forwardRef(function ChessBoard({ boardIndex, board, isPlayerB
     const actualRow = shouldFlip ? 7 - row : row;
     const actualCol = shouldFlip ? 7 - col : col;
 
-    const piece = board[actualRow][actualCol];
+    const piece = displayBoard[actualRow][actualCol];
     // Square color based on screen position (not flipped)
     const isLight = (row + col) % 2 === 0;
     const isSelected = selectedSquare?.row === actualRow && selectedSquare?.col === actualCol;
@@ -209,6 +326,22 @@ const ChessBoard = forwardRef(function ChessBoard({ boardIndex, board, isPlayerB
     if (isLegalMove) squareClass += ' legal-move';
     if (isCapture) squareClass += ' capture-move';
     if (isDropSquare) squareClass += ' drop-square';
+    if (queuedPremoves.some(premove => premove.pieceType
+      ? premove.row === actualRow && premove.col === actualCol
+      : (premove.from.row === actualRow && premove.from.col === actualCol) ||
+        (premove.to.row === actualRow && premove.to.col === actualCol))) {
+      squareClass += ' premove';
+    }
+    if (rejected && (rejected.pieceType
+      ? rejected.row === actualRow && rejected.col === actualCol
+      : (rejected.from.row === actualRow && rejected.from.col === actualCol) ||
+        (rejected.to.row === actualRow && rejected.to.col === actualCol))) {
+      squareClass += ' rejected';
+    }
+    if (lastMove && ((lastMove.from?.row === actualRow && lastMove.from?.col === actualCol) ||
+        (lastMove.to?.row === actualRow && lastMove.to?.col === actualCol))) {
+      squareClass += ' last-move';
+    }
 
     return (
       <div
@@ -221,7 +354,7 @@ const ChessBoard = forwardRef(function ChessBoard({ boardIndex, board, isPlayerB
         {piece && (
           <ChessPiece
             piece={piece}
-            draggable={isPlayerBoard && piece.color === playerColor && isMyTurn}
+            draggable={isPlayerBoard && piece.color === playerColor && (isMyTurn || isPremoving)}
             onDragStart={(e) => handleDragStart(e, actualRow, actualCol)}
             onDragEnd={handleDragEnd}
           />
@@ -244,12 +377,18 @@ const ChessBoard = forwardRef(function ChessBoard({ boardIndex, board, isPlayerB
 
   return (
     <div className={`board-wrapper ${isMainBoard ? 'main' : 'partner'}`} ref={boardRef}>
-      <div className={boardClasses}>
+      <div className={boardClasses} onContextMenu={handleContextMenu}>
         {Array.from({ length: 8 }, (_, row) =>
           Array.from({ length: 8 }, (_, col) => renderSquare(row, col))
         )}
       </div>
 
+      {queuedPremoves.length > 0 && (
+        <button className="premove-queue" onClick={clearPremoves} title="Clear premoves (or right-click the board)">
+          Premoves: {queuedPremoves.map(formatPremove).join(', ')} ✕
+        </button>
+      )}
+
       {/* Promotion dialog */}
       {promotionSquare && (
         <div className="promotion-dialog">
@@ -268,9 +407,16 @@ const ChessBoard = forwardRef(function ChessBoard({ boardIndex, board, isPlayerB
       )}
 
       {/* Check indicator */}
-      {gameState?.boards[boardIndex]?.isCheck && (
+      {status?.isCheck && !status?.isWaiting && (
         <div className="check-indicator">Check!</div>
       )}
+
+      {/* Side to move has no legal move and waits for a piece to drop */}
+      {status?.isWaiting && (
+        <div className="waiting-indicator">
+          {currentTurn === playerColor && isPlayerBoard ? 'Waiting for a piece...' : 'Waiting for pieces'}
+        </div>
+      )}
     </div>
   );
 });
@@ -1,20 +1,14 @@
 import React from 'react';
-
-const PIECE_SYMBOLS = {
-  k: { w: '♔', b: '♚' },
-  q: { w: '♕', b: '♛' },
-  r: { w: '♖', b: '♜' },
-  b: { w: '♗', b: '♝' },
-  n: { w: '♘', b: '♞' },
-  p: { w: '♙', b: '♟' }
-};
+import { PIECE_SYMBOLS } from '@shared/chess';
 
 function ChessPiece({ piece, draggable, onDragStart, onDragEnd, onClick }) {
   const symbol = PIECE_SYMBOLS[piece.type]?.[piece.color] || '?';
 
+  // Promoted pieces are marked since capturing one only yields a pawn
   return (
     <span
-      className={`chess-piece ${piece.color === 'w' ? 'white-piece' : 'black-piece'}`}
+      className={`chess-piece ${piece.color === 'w' ? 'white-piece' : 'black-piece'} ${piece.promoted ? 'promoted' : ''}`}
+      title={piece.promoted ? 'Promoted pawn' : undefined}
       draggable={draggable}
       onDragStart={onDragStart}
       onDragEnd={onDragEnd}
@@ -0,0 +1,38 @@
+import React, { useState, useEffect } from 'react';
+
+function formatTime(ms) {
+  const totalSeconds = Math.max(0, ms) / 1000;
+  if (totalSeconds < 10) {
+    return totalSeconds.toFixed(1);
+  }
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = Math.floor(totalSeconds % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+// Counts down locally between server updates; the server stays authoritative
+function Clock({ timeMs, running, small = false }) {
+  const [displayMs, setDisplayMs] = useState(timeMs);
+
+  useEffect(() => {
+    setDisplayMs(timeMs);
+    if (!running) return;
+
+    const startedAt = Date.now();
+    const interval = setInterval(() => {
+      setDisplayMs(timeMs - (Date.now() - startedAt));
+    }, 100);
+
+    return () => clearInterval(interval);
+  }, [timeMs, running]);
+
+  if (timeMs === undefined || timeMs === null) return null;
+
+  const clockClass = `clock ${small ? 'small' : ''} ${running ? 'running' : ''} ${displayMs < 10000 ? 'low-time' : ''}`;
+
+  return (
+    <span className={clockClass}>{formatTime(displayMs)}</span>
+  );
+}
+
+export default Clock;
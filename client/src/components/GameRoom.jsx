@@ -1,8 +1,20 @@
 import React, { useState, useRef, useCallback } from 'react';
+import { getTeammate, getOpponent, getPlayerBoard as getSeatBoard, getPlayerColor as getSeatColor } from '@shared/seating';
 import { useGame } from '../context/GameContext';
 import ChessBoard from './ChessBoard';
 import PieceBank from './PieceBank';
+import Clock from './Clock';
 import Chat from './Chat';
+import HostControls from './HostControls';
+import SeriesScore from './SeriesScore';
+
+// How seats move for a rematch; partners always stay together
+const ROTATION_OPTIONS = [
+  { scheme: 'colors', label: 'Swap colours' },
+  { scheme: 'boards', label: 'Swap boards' },
+  { scheme: 'partners', label: 'Swap seats with your partner' },
+  { scheme: 'none', label: 'Keep seats' }
+];
 
 function GameRoom() {
   const {
@@ -12,16 +24,31 @@ function GameRoom() {
     playerId,
     playerPosition,
     isSpectator,
+    connected,
     error,
     gameOver,
     restartGame,
+    resign,
+    abortGame,
+    offerDraw,
+    acceptDraw,
+    declineDraw,
+    pauseGame,
+    resumeGame,
+    toggleRematch,
+    setRotation,
     leaveRoom,
+    openReplay,
+    sessionToken,
+    accessToken,
     getPlayerBoard,
     getPlayerColor,
     getPlayerTeam
   } = useGame();
 
   const [chatCollapsed, setChatCollapsed] = useState(true);
+  const [bfenCopied, setBfenCopied] = useState(false);
+  const [showHostControls, setShowHostControls] = useState(false);
   const mainBoardRef = useRef(null);
 
   const playerBoard = getPlayerBoard();
@@ -37,30 +64,50 @@ function GameRoom() {
     );
   }
 
-  const { boards, pieceBanks } = gameState;
+  const { boards, pieceBanks, clocks } = gameState;
   const isHost = !isSpectator && roomState?.hostId === playerId;
+  const wantsRematch = Boolean(roomState?.players.find(p => p.id === playerId)?.rematch);
 
-  // Get teammate position
-  const getTeammate = (pos) => {
-    const teammates = { 0: 2, 1: 3, 2: 0, 3: 1 };
-    return teammates[pos];
+  // Get player info by position
+  const getPlayerByPosition = (pos) => {
+    return roomState.players.find(p => p.position === pos);
   };
 
-  // Get which board a player plays on
-  const getPlayerBoardIndex = (pos) => {
-    return pos < 2 ? 0 : 1;
+  // Rooms with a password only export to their members: players show their
+  // session token, spectators the access token they got on joining
+  const fetchExport = async (format) => {
+    const token = sessionToken || accessToken;
+    const res = await fetch(`/api/rooms/${roomId}/${format}`, {
+      headers: token ? { 'X-Session-Token': token } : {}
+    });
+    if (!res.ok) throw new Error(`Export failed with status ${res.status}`);
+    return res;
   };
 
-  // Get player's color by position (Bughouse: teammates play opposite colors)
-  const getColorByPosition = (pos) => {
-    // Board 0: Position 0 = White, Position 1 = Black
-    // Board 1: Position 2 = Black, Position 3 = White
-    return (pos === 0 || pos === 3) ? 'w' : 'b';
+  const handleCopyBfen = async () => {
+    try {
+      const res = await fetchExport('bfen');
+      const data = await res.json();
+      await navigator.clipboard.writeText(data.boards.join('\n'));
+      setBfenCopied(true);
+      setTimeout(() => setBfenCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy BFEN:', err);
+    }
   };
 
-  // Get player info by position
-  const getPlayerByPosition = (pos) => {
-    return roomState.players.find(p => p.position === pos);
+  const handleDownloadBpgn = async () => {
+    try {
+      const res = await fetchExport('bpgn');
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `bughouse-${roomId}.bpgn`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to download BPGN:', err);
+    }
   };
 
   const handlePieceSelect = useCallback((pieceType) => {
@@ -73,8 +120,8 @@ function GameRoom() {
   // Calculate board indices and colors
   const myBoardIndex = playerBoard;
   const partnerPosition = getTeammate(playerPosition);
-  const partnerBoardIndex = getPlayerBoardIndex(partnerPosition);
-  const partnerColor = getColorByPosition(partnerPosition);
+  const partnerBoardIndex = getSeatBoard(partnerPosition);
+  const partnerColor = getSeatColor(partnerPosition);
 
   // Get board data
   const myBoard = boards[myBoardIndex]?.board || [];
@@ -86,22 +133,124 @@ function GameRoom() {
   const myPlayer = getPlayerByPosition(playerPosition);
   const partnerPlayer = getPlayerByPosition(partnerPosition);
 
-  // Get opponents on my board
-  // Board 0: Position 0 = White, Position 1 = Black
-  // Board 1: Position 3 = White, Position 2 = Black
-  const myOpponentPosition = myBoardIndex === 0
-    ? (playerColor === 'w' ? 1 : 0)
-    : (playerColor === 'w' ? 2 : 3);
+  // Get opponents on both boards
+  const myOpponentPosition = getOpponent(playerPosition);
   const myOpponent = getPlayerByPosition(myOpponentPosition);
-
-  // Get partner's opponent
-  const partnerOpponentPosition = partnerBoardIndex === 0
-    ? (partnerColor === 'w' ? 1 : 0)
-    : (partnerColor === 'w' ? 2 : 3);
+  const partnerOpponentPosition = getOpponent(partnerPosition);
   const partnerOpponent = getPlayerByPosition(partnerOpponentPosition);
 
   const isMyTurn = myTurn === playerColor;
 
+  // Seats of dropped players are held for a while; their clocks keep running
+  const renderDisconnected = (player) => player?.connected === false && (
+    <span className="disconnected-badge" title="Disconnected - the seat is held for them">
+      reconnecting...
+    </span>
+  );
+
+  const handleResign = () => {
+    if (window.confirm('Resign? Your team loses the game.')) {
+      resign();
+    }
+  };
+
+  const handleAbort = () => {
+    if (window.confirm('Abort the game? It ends without a result.')) {
+      abortGame();
+    }
+  };
+
+  const handleOfferDraw = () => {
+    if (window.confirm('Offer a draw to the other team?')) {
+      offerDraw();
+    }
+  };
+
+  const handleAcceptDraw = () => {
+    if (window.confirm('Accept the draw? The game ends for both boards.')) {
+      acceptDraw();
+    }
+  };
+
+  // Game-ending actions for seated players while the game is still on
+  const renderGameActions = () => {
+    if (isSpectator || gameOver) return null;
+    const drawOffer = gameState.drawOffer;
+    const theirOffer = drawOffer && drawOffer.team !== playerTeam;
+    const ourOffer = drawOffer && drawOffer.team === playerTeam;
+
+    return (
+      <div className="game-actions">
+        {theirOffer && (
+          <div className="draw-offer">
+            <span>Team {drawOffer.team} offers a draw</span>
+            <button className="btn btn-primary btn-small" onClick={handleAcceptDraw}>Accept</button>
+            <button className="btn btn-secondary btn-small" onClick={declineDraw}>Decline</button>
+          </div>
+        )}
+        {ourOffer && (
+          <div className="draw-offer">
+            <span>{getPlayerByPosition(drawOffer.position)?.name || 'Your team'} offered a draw</span>
+            <button className="btn btn-secondary btn-small" onClick={declineDraw}>Withdraw</button>
+          </div>
+        )}
+        <div className="game-action-buttons">
+          {gameState.abortable && (
+            <button className="btn btn-secondary btn-small" onClick={handleAbort}>Abort</button>
+          )}
+          {!drawOffer && (
+            <button className="btn btn-secondary btn-small" onClick={handleOfferDraw}>Offer Draw</button>
+          )}
+          <button className="btn btn-danger btn-small" onClick={handleResign}>Resign</button>
+        </div>
+      </div>
+    );
+  };
+
+  // Clocks stop while paused; after a server restart the game waits for everyone to reconnect
+  const renderPauseBanner = () => gameState.state === 'paused' && (
+    <div className="pause-banner">
+      {roomState?.pausedBy === 'server'
+        ? 'Game paused until all players reconnect'
+        : 'Game paused by the host'}
+      {isHost && (
+        <button className="btn btn-primary btn-small" onClick={resumeGame}>Resume</button>
+      )}
+    </div>
+  );
+
+  // All four players opt in to a rematch; the host picks how the seats rotate
+  const renderRematch = () => {
+    if (gameState.state !== 'finished') return null;
+    const votes = roomState.players.filter(p => p.rematch).length;
+    const rotationLabel = ROTATION_OPTIONS.find(o => o.scheme === roomState.rotation)?.label;
+
+    return (
+      <div className="rematch-status">
+        <span>Rematch: {votes}/4 players</span>
+        {isHost ? (
+          <select
+            value={roomState.rotation}
+            title="How seats rotate for the rematch"
+            onChange={(e) => setRotation(e.target.value)}
+          >
+            {ROTATION_OPTIONS.map(option => (
+              <option key={option.scheme} value={option.scheme}>{option.label}</option>
+            ))}
+          </select>
+        ) : (
+          rotationLabel && <span>Seats: {rotationLabel}</span>
+        )}
+      </div>
+    );
+  };
+
+  // Clock props for a seat: remaining time and whether it is counting down
+  const getClockProps = (pos) => ({
+    timeMs: clocks?.remaining?.[pos],
+    running: Boolean(clocks?.running) && clocks.active.includes(pos)
+  });
+
   return (
     <div className="game-room">
       <div className="game-header">
@@ -113,40 +262,84 @@ function GameRoom() {
             </span>
           )}
           {isSpectator && <span className="spectator-badge">Spectating</span>}
+          <SeriesScore series={roomState.series} />
+        </div>
+        <div className="header-actions">
+          {isHost && (
+            <button className="btn btn-secondary btn-small" onClick={() => setShowHostControls(!showHostControls)}>
+              Host
+            </button>
+          )}
+          {isHost && gameState.state === 'playing' && (
+            <button className="btn btn-secondary btn-small" onClick={pauseGame}>
+              Pause
+            </button>
+          )}
+          <button className="btn btn-secondary btn-small" onClick={handleCopyBfen}>
+            {bfenCopied ? 'Copied!' : 'Copy BFEN'}
+          </button>
+          <button className="btn btn-secondary btn-small" onClick={leaveRoom}>
+            Leave
+          </button>
         </div>
-        <button className="btn btn-secondary btn-small" onClick={leaveRoom}>
-          Leave
-        </button>
       </div>
 
+      {isHost && showHostControls && (
+        <div className="host-panel">
+          <HostControls />
+        </div>
+      )}
+
+      {!connected && <div className="connection-banner">Connection lost. Reconnecting...</div>}
+
       {error && <div className="error-toast">{error}</div>}
 
       {gameOver && (
         <div className="game-over-overlay">
           <div className="game-over-modal">
-            <h2>Game Over!</h2>
+            <h2>{gameOver.reason === 'aborted' ? 'Game Aborted' : 'Game Over!'}</h2>
             {gameOver.winner ? (
               <p className={`winner-text team-${gameOver.winner}`}>
                 Team {gameOver.winner} Wins!
               </p>
-            ) : (
+            ) : gameOver.reason !== 'aborted' && (
               <p>Draw by {gameOver.reason}</p>
             )}
             <p className="game-over-reason">
               {gameOver.reason === 'checkmate' && `Checkmate on Board ${gameOver.boardIndex + 1}`}
               {gameOver.reason === 'stalemate' && `Stalemate on Board ${gameOver.boardIndex + 1}`}
+              {gameOver.reason === 'timeout' && `${getPlayerByPosition(gameOver.position)?.name || 'A player'} ran out of time on Board ${gameOver.boardIndex + 1}`}
+              {gameOver.reason === 'resignation' && `${getPlayerByPosition(gameOver.position)?.name || 'A player'} resigned on Board ${gameOver.boardIndex + 1}`}
+              {gameOver.reason === 'agreement' && 'Both teams agreed to a draw'}
+              {gameOver.reason === 'aborted' && `${getPlayerByPosition(gameOver.position)?.name || 'A player'} aborted the game`}
             </p>
+            <SeriesScore series={roomState.series} />
+            {renderRematch()}
             <div className="game-over-actions">
               {!isSpectator && (
                 <button
-                  className="btn btn-primary"
-                  onClick={restartGame}
-                  disabled={!isHost}
-                  title={isHost ? undefined : 'Only the host can restart the game'}
+                  className={`btn ${wantsRematch ? 'btn-secondary' : 'btn-primary'}`}
+                  onClick={toggleRematch}
+                  disabled={gameState.state !== 'finished'}
                 >
-                  Play Again
+                  {wantsRematch ? 'Cancel Rematch' : 'Rematch'}
+                </button>
+              )}
+              {isHost && (
+                <button className="btn btn-secondary" onClick={restartGame}>
+                  Back to Room
                 </button>
               )}
+              <button className="btn btn-secondary" onClick={handleDownloadBpgn}>
+                Download BPGN
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => openReplay(gameOver.gameId)}
+                disabled={!gameOver.gameId}
+              >
+                Watch Replay
+              </button>
               <button className="btn btn-secondary" onClick={leaveRoom}>
                 Leave Room
               </button>
@@ -162,6 +355,8 @@ function GameRoom() {
           <div className={`player-bar opponent ${myTurn !== playerColor ? 'active-turn' : ''}`}>
             <span className={`player-color-dot ${playerColor === 'w' ? 'black' : 'white'}`}></span>
             <span className="player-name">{myOpponent?.name || 'Opponent'}</span>
+            {renderDisconnected(myOpponent)}
+            <Clock {...getClockProps(myOpponentPosition)} />
           </div>
 
           <div className="main-board-container">
@@ -189,7 +384,11 @@ function GameRoom() {
           <div className={`player-bar self ${isMyTurn ? 'active-turn' : ''}`}>
             <span className={`player-color-dot ${playerColor}`}></span>
             <span className="player-name">{myPlayer?.name || 'You'} (You)</span>
+            <Clock {...getClockProps(playerPosition)} />
           </div>
+
+          {renderPauseBanner()}
+          {renderGameActions()}
         </div>
 
         {/* Partner Board Section */}
@@ -202,6 +401,8 @@ function GameRoom() {
           <div className={`player-bar small opponent ${partnerTurn !== partnerColor ? 'active-turn' : ''}`}>
             <span className={`player-color-dot ${partnerColor === 'w' ? 'black' : 'white'}`}></span>
             <span className="player-name">{partnerOpponent?.name || 'Opponent'}</span>
+            {renderDisconnected(partnerOpponent)}
+            <Clock {...getClockProps(partnerOpponentPosition)} small />
           </div>
 
           <div className="partner-board-container">
@@ -227,6 +428,8 @@ function GameRoom() {
           <div className={`player-bar small self ${partnerTurn === partnerColor ? 'active-turn' : ''}`}>
             <span className={`player-color-dot ${partnerColor}`}></span>
             <span className="player-name">{partnerPlayer?.name || 'Partner'}</span>
+            {renderDisconnected(partnerPlayer)}
+            <Clock {...getClockProps(partnerPosition)} small />
           </div>
         </div>
       </div>
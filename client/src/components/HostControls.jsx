@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import { useGame } from '../context/GameContext';
+
+// Players who haven't done anything for this long are marked idle
+const IDLE_BADGE_MS = 5 * 60 * 1000;
+
+// Counts up from the idle time the server last sent, so the badge keeps going
+// between room updates
+function IdleBadge({ idleMs }) {
+  const [displayMs, setDisplayMs] = useState(idleMs);
+
+  useEffect(() => {
+    setDisplayMs(idleMs);
+    if (idleMs === null) return;
+
+    const receivedAt = Date.now();
+    const interval = setInterval(() => {
+      setDisplayMs(idleMs + (Date.now() - receivedAt));
+    }, 10000);
+
+    return () => clearInterval(interval);
+  }, [idleMs]);
+
+  if (displayMs === null || displayMs < IDLE_BADGE_MS) return null;
+  return <span className="host-member-role"> (idle {Math.floor(displayMs / 60000)}m)</span>;
+}
+
+// Room moderation for the host: lock the room, kick or ban people, hand over host
+function HostControls() {
+  const { roomState, playerId, kickPlayer, unbanPlayer, setRoomLocked, transferHost } = useGame();
+
+  if (!roomState || roomState.hostId !== playerId) return null;
+
+  const others = [
+    ...roomState.players
+      .filter(p => p.id !== playerId)
+      .sort((a, b) => a.position - b.position)
+      .map(p => ({ ...p, isPlayer: true })),
+    ...(roomState.spectatorList || []).map(s => ({ ...s, isPlayer: false }))
+  ];
+
+  const handleKick = (person, ban) => {
+    const action = ban ? 'Ban' : 'Kick';
+    if (window.confirm(`${action} ${person.name}?${roomState.gameStarted && person.isPlayer ? ' The current game will be reset.' : ''}`)) {
+      kickPlayer(person.id, ban);
+    }
+  };
+
+  const handleTransfer = (person) => {
+    if (window.confirm(`Make ${person.name} the host? You will lose host controls.`)) {
+      transferHost(person.id);
+    }
+  };
+
+  return (
+    <div className="host-controls">
+      <h4>Host Controls</h4>
+      <label className="rule-option">
+        <input
+          type="checkbox"
+          checked={Boolean(roomState.locked)}
+          onChange={(e) => setRoomLocked(e.target.checked)}
+        />
+        <span>Lock room (no new players or spectators)</span>
+      </label>
+
+      {others.length > 0 && (
+        <ul className="host-member-list">
+          {others.map(person => (
+            <li key={person.id} className="host-member">
+              <span className="host-member-name">
+                {person.name}
+                {!person.isPlayer && <span className="host-member-role"> (spectator)</span>}
+                {person.isPlayer && <IdleBadge idleMs={person.idleMs} />}
+              </span>
+              <div className="host-member-actions">
+                {person.isPlayer && (
+                  <button className="btn btn-secondary btn-small" onClick={() => handleTransfer(person)}>
+                    Make Host
+                  </button>
+                )}
+                <button className="btn btn-secondary btn-small" onClick={() => handleKick(person, false)}>
+                  Kick
+                </button>
+                <button className="btn btn-danger btn-small" onClick={() => handleKick(person, true)}>
+                  Ban
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {roomState.bannedNames?.length > 0 && (
+        <div className="host-bans">
+          <span className="host-bans-label">Banned:</span>
+          {roomState.bannedNames.map((name, index) => (
+            <button key={index} className="btn btn-secondary btn-small" onClick={() => unbanPlayer(name)} title="Unban">
+              {name} ✕
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default HostControls;
@@ -2,9 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { useGame } from '../context/GameContext';
 
 function Lobby() {
-  const { connected, connecting, createRoom, joinRoom, error } = useGame();
+  const { connected, connecting, createRoom, joinRoom, openReplay, error } = useGame();
   const [playerName, setPlayerName] = useState('');
   const [roomCode, setRoomCode] = useState('');
+  const [visibility, setVisibility] = useState('public');
+  const [password, setPassword] = useState('');
   const [rooms, setRooms] = useState([]);
   const [view, setView] = useState('main'); // 'main', 'create', 'join'
 
@@ -28,19 +30,20 @@ function Lobby() {
   const handleCreateRoom = (e) => {
     e.preventDefault();
     if (playerName.trim()) {
-      createRoom(playerName.trim());
+      createRoom(playerName.trim(), { visibility, password: password || undefined });
     }
   };
 
   const handleJoinRoom = (e) => {
     e.preventDefault();
     if (playerName.trim() && roomCode.trim()) {
-      joinRoom(roomCode.trim().toUpperCase(), playerName.trim());
+      joinRoom(roomCode.trim().toUpperCase(), playerName.trim(), password || undefined);
     }
   };
 
-  const handleQuickJoin = (roomId) => {
-    if (playerName.trim()) {
+  const handleQuickJoin = (room) => {
+    const roomId = room.id;
+    if (playerName.trim() && !room.hasPassword) {
       joinRoom(roomId, playerName.trim());
     } else {
       setView('join');
@@ -86,6 +89,12 @@ function Lobby() {
               >
                 Join Room
               </button>
+              <button
+                className="btn btn-secondary btn-large"
+                onClick={() => openReplay()}
+              >
+                Watch Replay
+              </button>
             </div>
 
             {rooms.length > 0 && (
@@ -95,17 +104,21 @@ function Lobby() {
                   {rooms.map(room => (
                     <div key={room.id} className="room-item">
                       <div className="room-info">
-                        <span className="room-code">{room.id}</span>
+                        <span className="room-code">
+                          {room.id}
+                          {room.hasPassword && <span className="room-lock" title="Password protected"> 🔒</span>}
+                        </span>
                         <span className="room-host">Host: {room.hostName}</span>
                         <span className="room-players">
                           {room.playerCount}/4 Players
                           {room.gameStarted && ' (In Game)'}
+                          {room.locked && ' (Locked)'}
                         </span>
                       </div>
                       <button
                         className="btn btn-small"
-                        onClick={() => handleQuickJoin(room.id)}
-                        disabled={room.playerCount >= 4 && !room.gameStarted}
+                        onClick={() => handleQuickJoin(room)}
+                        disabled={room.locked || (room.playerCount >= 4 && !room.gameStarted)}
                       >
                         {room.playerCount >= 4 ? 'Spectate' : 'Join'}
                       </button>
@@ -139,6 +152,22 @@ function Lobby() {
               maxLength={20}
               autoFocus
             />
+            <select
+              className="lobby-select"
+              value={visibility}
+              onChange={(e) => setVisibility(e.target.value)}
+            >
+              <option value="public">Public - listed in the lobby</option>
+              <option value="unlisted">Unlisted - only people with the code</option>
+            </select>
+            <input
+              type="password"
+              placeholder="Password (optional)"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              maxLength={64}
+              autoComplete="new-password"
+            />
             <div className="form-actions">
               <button type="button" className="btn btn-secondary" onClick={() => setView('main')}>
                 Back
@@ -168,6 +197,13 @@ function Lobby() {
               onChange={(e) => setRoomCode(e.target.value.toUpperCase())}
               maxLength={6}
             />
+            <input
+              type="password"
+              placeholder="Password (if the room has one)"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              maxLength={64}
+            />
             <div className="form-actions">
               <button type="button" className="btn btn-secondary" onClick={() => setView('main')}>
                 Back
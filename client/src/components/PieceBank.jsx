@@ -1,25 +1,19 @@
 import React from 'react';
+import { PIECE_SYMBOLS } from '@shared/chess';
+import { getPlayerColor } from '@shared/seating';
 import { useGame } from '../context/GameContext';
 
-const PIECE_SYMBOLS = {
-  k: { w: '♔', b: '♚' },
-  q: { w: '♕', b: '♛' },
-  r: { w: '♖', b: '♜' },
-  b: { w: '♗', b: '♝' },
-  n: { w: '♘', b: '♞' },
-  p: { w: '♙', b: '♟' }
-};
-
 const PIECE_ORDER = ['q', 'r', 'b', 'n', 'p'];
 
-function PieceBank({ playerPosition, isOwnBank, onPieceSelect, vertical = false }) {
+function PieceBank({ playerPosition, isOwnBank, onPieceSelect, vertical = false, pieces }) {
   const { gameState } = useGame();
 
-  if (!gameState) return null;
+  if (!pieces && !gameState) return null;
 
-  const bank = gameState.pieceBanks[playerPosition] || [];
+  // Replays pass the bank in directly instead of reading the live game
+  const bank = pieces || gameState.pieceBanks[playerPosition] || [];
   // Bughouse: Position 0, 3 = White; Position 1, 2 = Black
-  const playerColor = (playerPosition === 0 || playerPosition === 3) ? 'w' : 'b';
+  const playerColor = getPlayerColor(playerPosition);
 
   // Group pieces by type and count
   const groupedPieces = PIECE_ORDER.reduce((acc, type) => {
@@ -49,12 +43,13 @@ function PieceBank({ playerPosition, isOwnBank, onPieceSelect, vertical = false
       <div className="bank-pieces">
         {PIECE_ORDER.map(type => {
           const count = groupedPieces[type];
-          if (count === 0) return null;
+          // Our own empty slots stay visible for pre-drops of pieces still to come
+          if (count === 0 && !isOwnBank) return null;
 
           return (
             <div
               key={type}
-              className={`bank-piece ${isOwnBank ? 'clickable' : ''}`}
+              className={`bank-piece ${isOwnBank ? 'clickable' : ''} ${count === 0 ? 'empty' : ''}`}
               onClick={() => handlePieceClick(type)}
               draggable={isOwnBank}
               onDragStart={(e) => handleDragStart(e, type)}
@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getPlayerColor } from '@shared/seating';
+import { useGame } from '../context/GameContext';
+import ChessBoard from './ChessBoard';
+import PieceBank from './PieceBank';
+import Clock from './Clock';
+
+const SPEEDS = [0.5, 1, 2, 4];
+const BOARD_LETTERS = ['A', 'B'];
+
+// Seats shown at the top and bottom of each board. Unflipped, Team A (seats 0
+// and 2) sits at the bottom: board 1 is white-up, board 2 black-up.
+const BOARD_LAYOUT = [
+  { top: 1, bottom: 0, flipped: false },
+  { top: 3, bottom: 2, flipped: true }
+];
+
+// BPGN-style labels: "1A." for White on board A, "1a." for Black, numbered
+// per board and colour
+function moveLabels(frames) {
+  const counts = { 0: { w: 0, b: 0 }, 1: { w: 0, b: 0 } };
+  return frames.map(({ move }) => {
+    if (!move) return null;
+    const number = ++counts[move.boardIndex][move.color];
+    const letter = BOARD_LETTERS[move.boardIndex];
+    return `${number}${move.color === 'w' ? letter : letter.toLowerCase()}. ${move.notation}`;
+  });
+}
+
+function formatTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+}
+
+// Finds the last frame reached by the given time of the match
+function frameAtTime(frames, time) {
+  let index = 0;
+  while (index + 1 < frames.length && frames[index + 1].time <= time) index++;
+  return index;
+}
+
+function ReplayViewer() {
+  const { replay, closeReplay } = useGame();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [bpgnText, setBpgnText] = useState('');
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [flipped, setFlipped] = useState(false);
+  const [scrubBy, setScrubBy] = useState('move'); // 'move' or 'time'
+
+  const loadReplay = useCallback(async (request) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await request;
+      const body = await res.json();
+      if (!res.ok) {
+        setError(body.error || 'Failed to load replay');
+        return;
+      }
+      setData(body);
+      setFrameIndex(0);
+      setPlaying(false);
+      setScrubBy('move');
+    } catch (err) {
+      setError('Failed to load replay');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (replay?.gameId) {
+      loadReplay(fetch(`/api/games/${replay.gameId}/replay`));
+    }
+  }, [replay, loadReplay]);
+
+  const lastIndex = data ? data.frames.length - 1 : 0;
+
+  const step = useCallback((delta) => {
+    setFrameIndex(index => Math.min(Math.max(index + delta, 0), lastIndex));
+  }, [lastIndex]);
+
+  // Autoplay: real time between moves when scrubbing by clock, else one move a second
+  useEffect(() => {
+    if (!playing || !data) return;
+    if (frameIndex >= lastIndex) {
+      setPlaying(false);
+      return;
+    }
+    const gap = scrubBy === 'time'
+      ? data.frames[frameIndex + 1].time - data.frames[frameIndex].time
+      : 1000;
+    const timeout = setTimeout(() => step(1), Math.max(gap, 50) / speed);
+    return () => clearTimeout(timeout);
+  }, [playing, data, frameIndex, lastIndex, scrubBy, speed, step]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT') return;
+      if (e.key === 'ArrowLeft') step(-1);
+      if (e.key === 'ArrowRight') step(1);
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [step]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) setBpgnText(await file.text());
+  };
+
+  const handleSubmitBpgn = (e) => {
+    e.preventDefault();
+    if (!bpgnText.trim()) return;
+    loadReplay(fetch('/api/replay', {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: bpgnText
+    }));
+  };
+
+  if (!data) {
+    return (
+      <div className="replay-viewer">
+        <div className="replay-header">
+          <h2>Replay</h2>
+          <button className="btn btn-secondary btn-small" onClick={closeReplay}>Close</button>
+        </div>
+        {error && <div className="error-message">{error}</div>}
+        {replay?.gameId ? (
+          loading && <div className="spinner"></div>
+        ) : (
+          <form className="lobby-form replay-import" onSubmit={handleSubmitBpgn}>
+            <h3>Open a BPGN file</h3>
+            <input type="file" accept=".bpgn,.pgn,.txt" onChange={handleFile} />
+            <textarea
+              value={bpgnText}
+              onChange={(e) => setBpgnText(e.target.value)}
+              placeholder="...or paste the BPGN here"
+              rows={10}
+            />
+            <div className="form-actions">
+              <button type="submit" className="btn btn-primary" disabled={loading || !bpgnText.trim()}>
+                {loading ? 'Loading...' : 'Watch'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    );
+  }
+
+  const { game, frames, hasTimes } = data;
+  const frame = frames[frameIndex];
+  const labels = moveLabels(frames);
+  const endTime = frames[lastIndex].time;
+  const playerName = (position) =>
+    game.players.find(p => p.position === position)?.name || `Player ${position + 1}`;
+
+  const handleScrub = (e) => {
+    const value = Number(e.target.value);
+    setFrameIndex(scrubBy === 'time' ? frameAtTime(frames, value) : value);
+  };
+
+  const renderPlayer = (position) => {
+    const color = getPlayerColor(position);
+    return (
+      <div className="replay-player">
+        <div className="player-bar small">
+          <span className={`player-color-dot ${color}`}></span>
+          <span className="player-name">{playerName(position)}</span>
+          <Clock timeMs={frame.clocks[position]} running={false} small />
+        </div>
+        <PieceBank playerPosition={position} pieces={frame.pieceBanks[position]} isOwnBank={false} />
+      </div>
+    );
+  };
+
+  const renderBoard = (boardIndex) => {
+    const layout = BOARD_LAYOUT[boardIndex];
+    const boardState = frame.boards[boardIndex];
+    const isFlipped = layout.flipped !== flipped;
+    const [top, bottom] = flipped ? [layout.bottom, layout.top] : [layout.top, layout.bottom];
+    return (
+      <div className="replay-board">
+        <div className="replay-board-label">Board {boardIndex + 1}</div>
+        {renderPlayer(top)}
+        <ChessBoard
+          boardIndex={boardIndex}
+          board={boardState.board}
+          isPlayerBoard={false}
+          currentTurn={boardState.turn}
+          isMainBoard={false}
+          flipped={isFlipped}
+          boardState={boardState}
+          lastMove={boardState.lastMove}
+        />
+        {renderPlayer(bottom)}
+      </div>
+    );
+  };
+
+  return (
+    <div className="replay-viewer">
+      <div className="replay-header">
+        <h2>Replay</h2>
+        {game.result && (
+          <span className="replay-result">
+            {game.result.winner ? `Team ${game.result.winner} won` : 'Draw'}
+            {game.result.reason && ` by ${game.result.reason}`}
+          </span>
+        )}
+        <button className="btn btn-secondary btn-small" onClick={closeReplay}>Close</button>
+      </div>
+
+      <div className="replay-content">
+        <div className="replay-boards">
+          {renderBoard(0)}
+          {renderBoard(1)}
+        </div>
+
+        <div className="replay-moves">
+          {labels.map((label, index) => label && (
+            <button
+              key={index}
+              className={`replay-move ${index === frameIndex ? 'current' : ''}`}
+              onClick={() => setFrameIndex(index)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="replay-controls">
+        <div className="replay-buttons">
+          <button className="btn btn-secondary btn-small" onClick={() => setFrameIndex(0)} disabled={frameIndex === 0}>⏮</button>
+          <button className="btn btn-secondary btn-small" onClick={() => step(-1)} disabled={frameIndex === 0}>◀</button>
+          <button
+            className="btn btn-primary btn-small"
+            onClick={() => setPlaying(!playing)}
+            disabled={frameIndex >= lastIndex && !playing}
+          >
+            {playing ? 'Pause' : 'Play'}
+          </button>
+          <button className="btn btn-secondary btn-small" onClick={() => step(1)} disabled={frameIndex >= lastIndex}>▶</button>
+          <button className="btn btn-secondary btn-small" onClick={() => setFrameIndex(lastIndex)} disabled={frameIndex >= lastIndex}>⏭</button>
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+            {SPEEDS.map(s => <option key={s} value={s}>{s}x</option>)}
+          </select>
+          <button className="btn btn-secondary btn-small" onClick={() => setFlipped(!flipped)}>Flip</button>
+        </div>
+
+        <div className="replay-scrubber">
+          <select value={scrubBy} onChange={(e) => setScrubBy(e.target.value)} disabled={!hasTimes}>
+            <option value="move">By move</option>
+            <option value="time">By clock</option>
+          </select>
+          <input
+            type="range"
+            min={0}
+            max={scrubBy === 'time' ? endTime : lastIndex}
+            value={scrubBy === 'time' ? frame.time : frameIndex}
+            onChange={handleScrub}
+          />
+          <span className="replay-position">
+            {scrubBy === 'time'
+              ? `${formatTime(frame.time)} / ${formatTime(endTime)}`
+              : `${frameIndex} / ${lastIndex}`}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ReplayViewer;
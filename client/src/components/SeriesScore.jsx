@@ -0,0 +1,14 @@
+import React from 'react';
+
+// Running score of the room's rematch series, by the teams' current seats
+function SeriesScore({ series }) {
+  if (!series) return null;
+
+  return (
+    <span className="series-score" title={`${series.games} game${series.games === 1 ? '' : 's'} in this series`}>
+      Series <span className="team-A">A {series.A}</span> – <span className="team-B">{series.B} B</span>
+    </span>
+  );
+}
+
+export default SeriesScore;
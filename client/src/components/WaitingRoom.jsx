@@ -1,5 +1,69 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { getPlayerColor, getPlayerTeam } from '@shared/seating';
 import { useGame } from '../context/GameContext';
+import HostControls from './HostControls';
+import SeriesScore from './SeriesScore';
+
+const TIME_CONTROL_PRESETS = [
+  { minutes: 1, increment: 0 },
+  { minutes: 2, increment: 0 },
+  { minutes: 2, increment: 1 },
+  { minutes: 3, increment: 0 },
+  { minutes: 3, increment: 2 },
+  { minutes: 5, increment: 0 },
+  { minutes: 5, increment: 3 },
+  { minutes: 10, increment: 0 }
+];
+
+const formatTimeControl = ({ minutes, increment }) => `${minutes}+${increment}`;
+
+const RULE_OPTIONS = [
+  {
+    key: 'potentialDropsPreventMate',
+    label: 'Checks that a future drop could block are not mate'
+  },
+  {
+    key: 'waitOnStalemate',
+    label: 'A stalemated player waits for pieces instead of drawing'
+  },
+  {
+    key: 'allowPawnDropsOnSeventh',
+    label: 'Pawns may be dropped on the 7th rank'
+  },
+  {
+    key: 'allowDropChecks',
+    label: 'Drops may give check'
+  },
+  {
+    key: 'allowDropCheckmates',
+    label: 'Drops may give checkmate'
+  },
+  {
+    key: 'allowDroppedPawnDoubleStep',
+    label: 'Pawns dropped on the 2nd rank may move two squares'
+  }
+];
+
+// Ticks down from the server's remaining time until the match starts
+function MatchCountdown({ remainingMs }) {
+  const [displayMs, setDisplayMs] = useState(remainingMs);
+
+  useEffect(() => {
+    setDisplayMs(remainingMs);
+    const startedAt = Date.now();
+    const interval = setInterval(() => {
+      setDisplayMs(remainingMs - (Date.now() - startedAt));
+    }, 100);
+
+    return () => clearInterval(interval);
+  }, [remainingMs]);
+
+  return (
+    <p className="match-countdown">
+      Game starts in {Math.max(1, Math.ceil(displayMs / 1000))}...
+    </p>
+  );
+}
 
 function WaitingRoom() {
   const {
@@ -9,9 +73,19 @@ function WaitingRoom() {
     playerPosition,
     isSpectator,
     toggleReady,
+    setTimeControl,
+    setRules,
+    setStartPosition,
+    takeSeat,
+    requestSeatSwap,
+    declineSeatSwap,
+    arrangeSeat,
     leaveRoom,
+    connected,
     error
   } = useGame();
+  const [bfenInputs, setBfenInputs] = useState(['', '']);
+  const [movingPlayerId, setMovingPlayerId] = useState(null); // Player the host is moving to another seat
 
   if (!roomState) {
     return (
@@ -24,19 +98,138 @@ function WaitingRoom() {
 
   const currentPlayer = roomState.players.find(p => p.id === playerId);
   const isReady = currentPlayer?.ready || false;
+  const isHost = !isSpectator && roomState.hostId === playerId;
+  const timeControl = roomState.timeControl;
+
+  const handleTimeControlChange = (e) => {
+    const preset = TIME_CONTROL_PRESETS[Number(e.target.value)];
+    if (preset) {
+      setTimeControl(preset);
+    }
+  };
+
+  const handleRuleChange = (key, value) => {
+    setRules({ ...roomState.rules, [key]: value });
+  };
+
+  const handleBfenChange = (boardIndex, value) => {
+    setBfenInputs(prev => prev.map((bfen, idx) => idx === boardIndex ? value : bfen));
+  };
+
+  const handleSetStartPosition = (e) => {
+    e.preventDefault();
+    if (bfenInputs.every(bfen => bfen.trim())) {
+      setStartPosition(bfenInputs.map(bfen => bfen.trim()));
+    }
+  };
 
   const getPositionLabel = (position) => {
     const labels = [
       'Board 1 - White (Team A)',
       'Board 1 - Black (Team B)',
-      'Board 2 - White (Team A)',
-      'Board 2 - Black (Team B)'
+      'Board 2 - Black (Team A)',
+      'Board 2 - White (Team B)'
     ];
     return labels[position] || `Position ${position}`;
   };
 
   const getTeamClass = (position) => {
-    return position % 2 === 0 ? 'team-a' : 'team-b';
+    return getPlayerTeam(position) === 'A' ? 'team-a' : 'team-b';
+  };
+
+  const handleArrange = (position) => {
+    arrangeSeat(movingPlayerId, position);
+    setMovingPlayerId(null);
+  };
+
+  // Sit in an empty seat, or ask (or answer) the player in it to swap
+  const renderSeatActions = (pos, player) => {
+    if (isHost && movingPlayerId) {
+      if (player?.id === movingPlayerId) {
+        return (
+          <button className="btn btn-secondary btn-small" onClick={() => setMovingPlayerId(null)}>
+            Cancel Move
+          </button>
+        );
+      }
+      return (
+        <button className="btn btn-primary btn-small" onClick={() => handleArrange(pos)}>
+          Move Here
+        </button>
+      );
+    }
+
+    const actions = [];
+    if (!player && currentPlayer) {
+      actions.push(
+        <button key="sit" className="btn btn-secondary btn-small" onClick={() => takeSeat(pos)}>
+          Sit Here
+        </button>
+      );
+    } else if (player && currentPlayer && player.id !== playerId) {
+      if (player.swapRequest === playerId) {
+        actions.push(
+          <button key="accept" className="btn btn-primary btn-small" onClick={() => requestSeatSwap(pos)}>
+            Accept Swap
+          </button>,
+          <button key="decline" className="btn btn-secondary btn-small" onClick={() => declineSeatSwap(pos)}>
+            Decline
+          </button>
+        );
+      } else if (currentPlayer.swapRequest === player.id) {
+        actions.push(
+          <button key="cancel" className="btn btn-secondary btn-small" onClick={() => declineSeatSwap(pos)}>
+            Cancel Swap
+          </button>
+        );
+      } else {
+        actions.push(
+          <button key="swap" className="btn btn-secondary btn-small" onClick={() => requestSeatSwap(pos)}>
+            Swap
+          </button>
+        );
+      }
+    }
+    if (isHost && player) {
+      actions.push(
+        <button key="move" className="btn btn-secondary btn-small" onClick={() => setMovingPlayerId(player.id)}>
+          Move
+        </button>
+      );
+    }
+
+    return actions.length > 0 && <div className="seat-actions">{actions}</div>;
+  };
+
+  const renderSlot = (pos) => {
+    const player = roomState.players.find(p => p.position === pos);
+    const isSelf = player?.id === playerId;
+    return (
+      <div
+        key={pos}
+        className={`player-slot ${getTeamClass(pos)} ${player ? 'filled' : 'empty'} ${isSelf ? 'self' : ''}`}
+      >
+        <div className="position-label">{getPlayerColor(pos) === 'w' ? 'White' : 'Black'}</div>
+        {player ? (
+          <>
+            <div className="player-name">{player.name}</div>
+            {player.connected === false ? (
+              <div className="ready-status disconnected">Reconnecting...</div>
+            ) : (
+              <div className={`ready-status ${player.ready ? 'ready' : ''}`}>
+                {player.ready ? 'Ready' : 'Not Ready'}
+              </div>
+            )}
+            {!isSelf && player.swapRequest === playerId && (
+              <div className="swap-request">Wants to swap seats with you</div>
+            )}
+          </>
+        ) : (
+          <div className="waiting-text">Waiting for player...</div>
+        )}
+        {renderSeatActions(pos, player)}
+      </div>
+    );
   };
 
   return (
@@ -49,6 +242,8 @@ function WaitingRoom() {
           </button>
         </div>
 
+        {!connected && <div className="connection-banner">Connection lost. Reconnecting...</div>}
+
         {error && <div className="error-message">{error}</div>}
 
         <div className="share-code">
@@ -62,33 +257,55 @@ function WaitingRoom() {
               Copy
             </button>
           </div>
+          {(roomState.visibility === 'unlisted' || roomState.hasPassword) && (
+            <p className="room-privacy">
+              {roomState.visibility === 'unlisted' ? 'Unlisted room' : 'Public room'}
+              {roomState.hasPassword && ' • password protected'}
+            </p>
+          )}
         </div>
 
+        {timeControl && (
+          <div className="time-control">
+            <span className="time-control-label">Time control:</span>
+            {isHost ? (
+              <select
+                value={TIME_CONTROL_PRESETS.findIndex(p =>
+                  p.minutes === timeControl.minutes && p.increment === timeControl.increment
+                )}
+                onChange={handleTimeControlChange}
+              >
+                {TIME_CONTROL_PRESETS.map((preset, idx) => (
+                  <option key={idx} value={idx}>{formatTimeControl(preset)}</option>
+                ))}
+              </select>
+            ) : (
+              <strong>{formatTimeControl(timeControl)}</strong>
+            )}
+          </div>
+        )}
+
+        {roomState.rules && (
+          <div className="room-rules">
+            {RULE_OPTIONS.map(({ key, label }) => (
+              <label key={key} className="rule-option">
+                <input
+                  type="checkbox"
+                  checked={Boolean(roomState.rules[key])}
+                  onChange={(e) => handleRuleChange(key, e.target.checked)}
+                  disabled={!isHost}
+                />
+                <span>{label}</span>
+              </label>
+            ))}
+          </div>
+        )}
+
         <div className="players-grid">
           <div className="board-section">
             <h3>Board 1</h3>
             <div className="player-slots">
-              {[0, 1].map(pos => {
-                const player = roomState.players.find(p => p.position === pos);
-                return (
-                  <div
-                    key={pos}
-                    className={`player-slot ${getTeamClass(pos)} ${player ? 'filled' : 'empty'}`}
-                  >
-                    <div className="position-label">{pos === 0 ? 'White' : 'Black'}</div>
-                    {player ? (
-                      <>
-                        <div className="player-name">{player.name}</div>
-                        <div className={`ready-status ${player.ready ? 'ready' : ''}`}>
-                          {player.ready ? 'Ready' : 'Not Ready'}
-                        </div>
-                      </>
-                    ) : (
-                      <div className="waiting-text">Waiting for player...</div>
-                    )}
-                  </div>
-                );
-              })}
+              {[0, 1].map(renderSlot)}
             </div>
           </div>
 
@@ -97,31 +314,52 @@ function WaitingRoom() {
           <div className="board-section">
             <h3>Board 2</h3>
             <div className="player-slots">
-              {[3, 2].map(pos => {
-                const player = roomState.players.find(p => p.position === pos);
-                return (
-                  <div
-                    key={pos}
-                    className={`player-slot ${getTeamClass(pos)} ${player ? 'filled' : 'empty'}`}
-                  >
-                    <div className="position-label">{pos === 3 ? 'White' : 'Black'}</div>
-                    {player ? (
-                      <>
-                        <div className="player-name">{player.name}</div>
-                        <div className={`ready-status ${player.ready ? 'ready' : ''}`}>
-                          {player.ready ? 'Ready' : 'Not Ready'}
-                        </div>
-                      </>
-                    ) : (
-                      <div className="waiting-text">Waiting for player...</div>
-                    )}
-                  </div>
-                );
-              })}
+              {[3, 2].map(renderSlot)}
             </div>
           </div>
         </div>
 
+        <HostControls />
+
+        {isHost && (
+          <form className="start-position" onSubmit={handleSetStartPosition}>
+            <h4>Custom starting position (BFEN)</h4>
+            {[0, 1].map(boardIndex => (
+              <input
+                key={boardIndex}
+                type="text"
+                placeholder={`Board ${boardIndex + 1} BFEN`}
+                value={bfenInputs[boardIndex]}
+                onChange={(e) => handleBfenChange(boardIndex, e.target.value)}
+                maxLength={120}
+              />
+            ))}
+            <div className="form-actions">
+              {roomState.startPosition && (
+                <button type="button" className="btn btn-secondary btn-small" onClick={() => setStartPosition(null)}>
+                  Use Standard Setup
+                </button>
+              )}
+              <button
+                type="submit"
+                className="btn btn-primary btn-small"
+                disabled={!bfenInputs.every(bfen => bfen.trim())}
+              >
+                Set Position
+              </button>
+            </div>
+          </form>
+        )}
+
+        {roomState.startPosition && (
+          <div className="start-position-notice">
+            <p>This game starts from a custom position:</p>
+            {roomState.startPosition.map((bfen, idx) => (
+              <code key={idx}>Board {idx + 1}: {bfen}</code>
+            ))}
+          </div>
+        )}
+
         <div className="team-legend">
           <div className="team-item team-a">
             <span className="team-color"></span>
@@ -157,7 +395,13 @@ function WaitingRoom() {
             {roomState.players.length}/4 players •{' '}
             {roomState.players.filter(p => p.ready).length}/4 ready
           </p>
-          {roomState.players.length === 4 && (
+          {roomState.series && (
+            <p><SeriesScore series={roomState.series} /></p>
+          )}
+          {roomState.locked && <p>The room is locked to new players</p>}
+          {roomState.state === 'countdown' ? (
+            <MatchCountdown remainingMs={roomState.countdownMs} />
+          ) : roomState.players.length === 4 && (
             <p className="start-hint">Game will start when all players are ready</p>
           )}
         </div>
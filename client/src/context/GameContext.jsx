@@ -1,10 +1,21 @@
-import React, { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
+import React, { createContext, useContext, useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { io } from 'socket.io-client';
+import * as seating from '@shared/seating';
+import { applyGameDelta } from '@shared/sync';
+import { createPendingMove, getDisplayedState, hasLapsed } from '@shared/optimistic';
 
 const GameContext = createContext(null);
 
 const SOCKET_URL = import.meta.env.PROD ? window.location.origin : 'http://localhost:3001';
 
+// Survives reloads in the same tab so a player can get their seat back
+const SESSION_KEY = 'bughouse-session';
+// The session we were last kicked from, sent along when joining so a ban holds
+const KICKED_SESSION_KEY = 'bughouse-kicked-session';
+
+// How long a move the server turned down stays marked on the board
+const REJECTED_MOVE_MS = 1500;
+
 export function GameProvider({ children }) {
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
@@ -15,11 +26,46 @@ export function GameProvider({ children }) {
   const [playerPosition, setPlayerPosition] = useState(null);
   const [isSpectator, setIsSpectator] = useState(false);
   const [roomState, setRoomState] = useState(null);
-  const [gameState, setGameState] = useState(null);
+  const [serverGameState, setServerGameState] = useState(null); // As last sent by the server
+  const [pendingMove, setPendingMove] = useState(null); // { position, boardIndex, moveCount, move } sent but not yet confirmed
+  const [rejectedMove, setRejectedMove] = useState(null); // Our last move the server turned down, marked for a moment
   const [chatMessages, setChatMessages] = useState([]);
   const [error, setError] = useState(null);
   const [gameOver, setGameOver] = useState(null);
+  const [premoves, setPremoves] = useState([]); // Our queued premoves, kept by the server
+  const [sessionToken, setSessionToken] = useState(() => sessionStorage.getItem(SESSION_KEY));
+  const [accessToken, setAccessToken] = useState(null); // A spectator's token for exporting a password room
+  const [replay, setReplay] = useState(null); // { gameId } of an archived game, or { gameId: null } to paste BPGN
   const reconnectAttempts = useRef(0);
+  const sessionTokenRef = useRef(sessionToken);
+  const gameSeqRef = useRef(null); // Sequence number of the game state we hold; null until a snapshot arrives
+  const roomIdRef = useRef(null);
+
+  const saveSession = useCallback((token) => {
+    sessionTokenRef.current = token;
+    setSessionToken(token);
+    if (token) {
+      sessionStorage.setItem(SESSION_KEY, token);
+    } else {
+      sessionStorage.removeItem(SESSION_KEY);
+    }
+  }, []);
+
+  const clearRoom = useCallback(() => {
+    saveSession(null);
+    setRoomId(null);
+    setPlayerId(null);
+    setPlayerPosition(null);
+    setRoomState(null);
+    setServerGameState(null);
+    setPendingMove(null);
+    gameSeqRef.current = null;
+    setChatMessages([]);
+    setGameOver(null);
+    setPremoves([]);
+    setIsSpectator(false);
+    setAccessToken(null);
+  }, [saveSession]);
 
   // Initialize socket connection with reconnection handling
   useEffect(() => {
@@ -36,7 +82,28 @@ export function GameProvider({ children }) {
       setConnected(true);
       setConnecting(false);
       reconnectAttempts.current = 0;
+      // Deltas only apply on top of the snapshot sent when we rejoin, and a
+      // move sent on the old connection may never have arrived
+      gameSeqRef.current = null;
+      setPendingMove(null);
       console.log('Connected to server');
+
+      // Reclaim our seat after a dropped connection or a page reload
+      if (sessionTokenRef.current) {
+        newSocket.emit('resumeSession', { sessionToken: sessionTokenRef.current }, (response) => {
+          if (response.success) {
+            setRoomId(response.roomId);
+            setPlayerId(response.playerId);
+            setPlayerName(response.playerName);
+            setPlayerPosition(response.position);
+            setIsSpectator(false);
+          } else {
+            clearRoom();
+            setError('Your seat is no longer available.');
+            setTimeout(() => setError(null), 5000);
+          }
+        });
+      }
     });
 
     newSocket.on('disconnect', (reason) => {
@@ -66,20 +133,46 @@ export function GameProvider({ children }) {
       setRoomState(state);
     });
 
-    newSocket.on('gameState', (state) => {
-      setGameState(state);
+    // Full game state, sent on join and reconnect or when we asked for it
+    newSocket.on('gameState', ({ seq, ...state }) => {
+      gameSeqRef.current = seq;
+      setServerGameState(state);
+    });
+
+    // Changes since the previous update; after a gap we ask for a snapshot
+    newSocket.on('gameDelta', ({ seq, ...delta }) => {
+      if (gameSeqRef.current === null || seq <= gameSeqRef.current) return;
+      if (seq !== gameSeqRef.current + 1) {
+        gameSeqRef.current = null;
+        newSocket.emit('resyncGameState', { roomId: roomIdRef.current });
+        return;
+      }
+      gameSeqRef.current = seq;
+      setServerGameState(prev => applyGameDelta(prev, delta));
     });
 
     newSocket.on('gameStart', () => {
       setGameOver(null);
+      setPremoves([]);
     });
 
     newSocket.on('gameOver', (data) => {
       setGameOver(data);
+      setPremoves([]);
+      setPendingMove(null);
     });
 
     newSocket.on('gameRestart', () => {
       setGameOver(null);
+      setPremoves([]);
+    });
+
+    newSocket.on('premoves', ({ premoves, error }) => {
+      setPremoves(premoves);
+      if (error) {
+        setError(`Premove cancelled: ${error}`);
+        setTimeout(() => setError(null), 3000);
+      }
     });
 
     newSocket.on('chatMessage', (message) => {
@@ -100,76 +193,148 @@ export function GameProvider({ children }) {
       setTimeout(() => setError(null), 5000);
     });
 
+    newSocket.on('kicked', ({ banned }) => {
+      if (sessionTokenRef.current) {
+        sessionStorage.setItem(KICKED_SESSION_KEY, sessionTokenRef.current);
+      }
+      clearRoom();
+      setError(banned ? 'You were banned from the room by the host.' : 'You were removed from the room by the host.');
+      setTimeout(() => setError(null), 5000);
+    });
+
+    newSocket.on('roomIdleWarning', ({ closesInMs }) => {
+      const minutes = Math.max(1, Math.round(closesInMs / 60000));
+      setError(`This room has been idle and will close in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+      setTimeout(() => setError(null), 10000);
+    });
+
+    newSocket.on('roomClosed', ({ reason }) => {
+      clearRoom();
+      setError(reason === 'idle' ? 'The room was closed after being idle.' : 'The room was closed because all players left.');
+      setTimeout(() => setError(null), 5000);
+    });
+
+    newSocket.on('sessionReplaced', () => {
+      clearRoom();
+      setError('You rejoined this room from another window.');
+      setTimeout(() => setError(null), 5000);
+    });
+
     setSocket(newSocket);
 
     return () => {
       newSocket.close();
     };
-  }, []);
+  }, [clearRoom]);
+
+  // Seats can change in the waiting room, so follow our own entry in the room
+  useEffect(() => {
+    const me = roomState?.players.find(p => p.id === playerId);
+    if (me) {
+      setPlayerPosition(me.position);
+    }
+  }, [roomState, playerId]);
 
-  const createRoom = useCallback((name) => {
+  // The socket handlers need the current room when asking for a resync
+  useEffect(() => {
+    roomIdRef.current = roomId;
+  }, [roomId]);
+
+  // Every snapshot or delta re-checks our pending move: once the server's
+  // state leaves no room for it, it is dropped (see optimistic.js)
+  useEffect(() => {
+    if (pendingMove && hasLapsed(serverGameState, pendingMove, roomState?.rules)) {
+      setPendingMove(null);
+    }
+  }, [serverGameState, pendingMove, roomState?.rules]);
+
+  // What the board shows: the server's state with our pending move played on top
+  const gameState = useMemo(
+    () => getDisplayedState(serverGameState, pendingMove, roomState?.rules),
+    [serverGameState, pendingMove, roomState?.rules]
+  );
+
+  // options: { visibility: 'public' | 'unlisted', password }
+  const createRoom = useCallback((name, options = {}) => {
     if (!socket) return;
     setPlayerName(name);
-    socket.emit('createRoom', { playerName: name }, (response) => {
+    socket.emit('createRoom', { playerName: name, ...options }, (response) => {
       if (response.success) {
         setRoomId(response.roomId);
         setPlayerId(response.playerId);
         setPlayerPosition(response.position);
         setIsSpectator(false);
+        setAccessToken(null);
+        saveSession(response.sessionToken);
       } else {
         setError(response.error);
       }
     });
-  }, [socket]);
+  }, [socket, saveSession]);
 
-  const joinRoom = useCallback((id, name) => {
+  const joinRoom = useCallback((id, name, password) => {
     if (!socket) return;
     setPlayerName(name);
-    socket.emit('joinRoom', { roomId: id, playerName: name }, (response) => {
+    const previousSessionToken = sessionStorage.getItem(KICKED_SESSION_KEY) || undefined;
+    socket.emit('joinRoom', { roomId: id, playerName: name, password, previousSessionToken }, (response) => {
       if (response.success) {
         setRoomId(response.roomId);
         setPlayerId(response.playerId);
         setPlayerPosition(response.position);
         setIsSpectator(response.isSpectator || false);
+        setAccessToken(response.accessToken || null);
+        saveSession(response.sessionToken || null);
       } else {
         setError(response.error);
       }
     });
-  }, [socket]);
+  }, [socket, saveSession]);
 
   const toggleReady = useCallback(() => {
     if (!socket || !roomId || !playerId) return;
     socket.emit('toggleReady', { roomId, playerId });
   }, [socket, roomId, playerId]);
 
-  const getLegalMoves = useCallback((boardIndex, row, col) => {
-    return new Promise((resolve) => {
-      if (!socket || !roomId) {
-        resolve({ moves: [] });
-        return;
+  // Shows our move straight away; the server's answer to this very move
+  // settles it, and a refusal takes it back and marks it on the board
+  const sendMove = useCallback((event, data, move) => {
+    if (!socket || !roomId || !playerId) return;
+    const pending = serverGameState && playerPosition !== null
+      ? createPendingMove(serverGameState, playerPosition, move)
+      : null;
+    setRejectedMove(null);
+    setPendingMove(pending);
+
+    socket.emit(event, { roomId, playerId, ...data }, (response) => {
+      setPendingMove(current => current === pending ? null : current);
+      if (response.success) return;
+
+      if (pending) {
+        setRejectedMove(pending);
+        setTimeout(() => setRejectedMove(current => current === pending ? null : current), REJECTED_MOVE_MS);
       }
-      socket.emit('getLegalMoves', { roomId, boardIndex, row, col }, resolve);
+      setError(pending ? `Move taken back: ${response.error}` : response.error);
+      setTimeout(() => setError(null), 3000);
     });
-  }, [socket, roomId]);
+  }, [socket, roomId, playerId, serverGameState, playerPosition]);
 
   const makeMove = useCallback((boardIndex, from, to, promotion = null) => {
-    if (!socket || !roomId || !playerId) return;
-    socket.emit('makeMove', { roomId, playerId, boardIndex, from, to, promotion });
-  }, [socket, roomId, playerId]);
+    sendMove('makeMove', { boardIndex, from, to, promotion }, { from, to, promotion });
+  }, [sendMove]);
 
   const dropPiece = useCallback((pieceType, row, col) => {
+    sendMove('dropPiece', { pieceType, row, col }, { pieceType, row, col });
+  }, [sendMove]);
+
+  // move is { from, to, promotion } or, for a pre-drop, { pieceType, row, col }
+  const queuePremove = useCallback((move) => {
     if (!socket || !roomId || !playerId) return;
-    socket.emit('dropPiece', { roomId, playerId, pieceType, row, col });
+    socket.emit('queuePremove', { roomId, playerId, move });
   }, [socket, roomId, playerId]);
 
-  const getDropSquares = useCallback((pieceType) => {
-    return new Promise((resolve) => {
-      if (!socket || !roomId || !playerId) {
-        resolve({ squares: [] });
-        return;
-      }
-      socket.emit('getDropSquares', { roomId, playerId, pieceType }, resolve);
-    });
+  const clearPremoves = useCallback(() => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('clearPremoves', { roomId, playerId });
   }, [socket, roomId, playerId]);
 
   const sendMessage = useCallback((message, isTeamOnly = false) => {
@@ -177,6 +342,106 @@ export function GameProvider({ children }) {
     socket.emit('chatMessage', { roomId, playerId, message, isTeamOnly });
   }, [socket, roomId, playerId]);
 
+  const setTimeControl = useCallback((timeControl) => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('setTimeControl', { roomId, playerId, timeControl });
+  }, [socket, roomId, playerId]);
+
+  const setRules = useCallback((rules) => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('setRules', { roomId, playerId, rules });
+  }, [socket, roomId, playerId]);
+
+  const setStartPosition = useCallback((bfen) => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('setStartPosition', { roomId, playerId, bfen });
+  }, [socket, roomId, playerId]);
+
+  const takeSeat = useCallback((position) => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('takeSeat', { roomId, playerId, position });
+  }, [socket, roomId, playerId]);
+
+  const requestSeatSwap = useCallback((position) => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('requestSeatSwap', { roomId, playerId, position });
+  }, [socket, roomId, playerId]);
+
+  const declineSeatSwap = useCallback((position) => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('declineSeatSwap', { roomId, playerId, position });
+  }, [socket, roomId, playerId]);
+
+  const arrangeSeat = useCallback((targetId, position) => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('arrangeSeat', { roomId, playerId, targetId, position });
+  }, [socket, roomId, playerId]);
+
+  const kickPlayer = useCallback((targetId, ban = false) => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('kickPlayer', { roomId, playerId, targetId, ban });
+  }, [socket, roomId, playerId]);
+
+  const unbanPlayer = useCallback((name) => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('unbanPlayer', { roomId, playerId, name });
+  }, [socket, roomId, playerId]);
+
+  const setRoomLocked = useCallback((locked) => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('setRoomLocked', { roomId, playerId, locked });
+  }, [socket, roomId, playerId]);
+
+  const transferHost = useCallback((targetId) => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('transferHost', { roomId, playerId, targetId });
+  }, [socket, roomId, playerId]);
+
+  const resign = useCallback(() => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('resign', { roomId, playerId });
+  }, [socket, roomId, playerId]);
+
+  const abortGame = useCallback(() => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('abort', { roomId, playerId });
+  }, [socket, roomId, playerId]);
+
+  const offerDraw = useCallback(() => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('offerDraw', { roomId, playerId });
+  }, [socket, roomId, playerId]);
+
+  const acceptDraw = useCallback(() => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('acceptDraw', { roomId, playerId });
+  }, [socket, roomId, playerId]);
+
+  const declineDraw = useCallback(() => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('declineDraw', { roomId, playerId });
+  }, [socket, roomId, playerId]);
+
+  const pauseGame = useCallback(() => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('pauseGame', { roomId, playerId });
+  }, [socket, roomId, playerId]);
+
+  const resumeGame = useCallback(() => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('resumeGame', { roomId, playerId });
+  }, [socket, roomId, playerId]);
+
+  const toggleRematch = useCallback(() => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('toggleRematch', { roomId, playerId });
+  }, [socket, roomId, playerId]);
+
+  const setRotation = useCallback((scheme) => {
+    if (!socket || !roomId || !playerId) return;
+    socket.emit('setRotation', { roomId, playerId, scheme });
+  }, [socket, roomId, playerId]);
+
   const restartGame = useCallback(() => {
     if (!socket || !roomId || !playerId) return;
     socket.emit('restartGame', { roomId, playerId });
@@ -185,32 +450,30 @@ export function GameProvider({ children }) {
   const leaveRoom = useCallback(() => {
     if (!socket || !roomId || !playerId) return;
     socket.emit('leaveRoom', { roomId, playerId });
-    setRoomId(null);
-    setPlayerId(null);
-    setPlayerPosition(null);
-    setRoomState(null);
-    setGameState(null);
-    setChatMessages([]);
-    setGameOver(null);
-    setIsSpectator(false);
-  }, [socket, roomId, playerId]);
+    clearRoom();
+  }, [socket, roomId, playerId, clearRoom]);
+
+  const openReplay = useCallback((gameId = null) => {
+    setReplay({ gameId });
+  }, []);
+
+  const closeReplay = useCallback(() => {
+    setReplay(null);
+  }, []);
 
   const getPlayerBoard = useCallback(() => {
     if (playerPosition === null) return null;
-    return playerPosition < 2 ? 0 : 1;
+    return seating.getPlayerBoard(playerPosition);
   }, [playerPosition]);
 
   const getPlayerColor = useCallback(() => {
     if (playerPosition === null) return null;
-    // Bughouse: teammates play opposite colors on different boards
-    // Board 0: Position 0 = White, Position 1 = Black
-    // Board 1: Position 2 = Black, Position 3 = White
-    return (playerPosition === 0 || playerPosition === 3) ? 'w' : 'b';
+    return seating.getPlayerColor(playerPosition);
   }, [playerPosition]);
 
   const getPlayerTeam = useCallback(() => {
     if (playerPosition === null) return null;
-    return playerPosition % 2 === 0 ? 'A' : 'B';
+    return seating.getPlayerTeam(playerPosition);
   }, [playerPosition]);
 
   const value = {
@@ -224,19 +487,47 @@ export function GameProvider({ children }) {
     isSpectator,
     roomState,
     gameState,
+    pendingMove,
+    rejectedMove,
     chatMessages,
     error,
     gameOver,
+    premoves,
+    sessionToken,
+    accessToken,
+    replay,
     createRoom,
     joinRoom,
     toggleReady,
-    getLegalMoves,
     makeMove,
     dropPiece,
-    getDropSquares,
+    queuePremove,
+    clearPremoves,
     sendMessage,
+    setTimeControl,
+    setRules,
+    setStartPosition,
+    takeSeat,
+    requestSeatSwap,
+    declineSeatSwap,
+    arrangeSeat,
+    kickPlayer,
+    unbanPlayer,
+    setRoomLocked,
+    transferHost,
+    resign,
+    abortGame,
+    offerDraw,
+    acceptDraw,
+    declineDraw,
+    pauseGame,
+    resumeGame,
+    toggleRematch,
+    setRotation,
     restartGame,
     leaveRoom,
+    openReplay,
+    closeReplay,
     getPlayerBoard,
     getPlayerColor,
     getPlayerTeam
@@ -1,8 +1,26 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'url'
+
+// The chess rules and seat layout in ../shared are CommonJS modules the server
+// requires directly; Vite converts them for the browser
+const sharedDir = fileURLToPath(new URL('../shared', import.meta.url))
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      '@shared': sharedDir
+    }
+  },
+  optimizeDeps: {
+    include: ['@shared/chess', '@shared/seating', '@shared/sync', '@shared/optimistic']
+  },
+  build: {
+    commonjsOptions: {
+      include: [/shared/, /node_modules/]
+    }
+  },
   server: {
     port: 5173,
     proxy: {
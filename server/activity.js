@@ -0,0 +1,59 @@
+// Idle room expiry
+// Idle time runs from the last action by a room's players or spectators (a
+// move, a chat message, a seat change...); merely being connected doesn't
+// count, and neither does a client asking for a state resync. Members of an
+// idle room are warned shortly before the timeout, and the room is closed once
+// it runs out. A room with a connected player only ever gets the warning;
+// disconnected players leave through their grace period instead. A match
+// under way, paused ones included, never goes idle.
+const { ROOM_STATES } = require('./lifecycle');
+
+const IDLE_STATUS = {
+  ACTIVE: 'active',
+  WARNING: 'warning',
+  EXPIRED: 'expired'
+};
+
+const MATCH_STATES = [ROOM_STATES.COUNTDOWN, ROOM_STATES.PLAYING, ROOM_STATES.PAUSED];
+
+// Requests that happen without anyone doing anything
+const PASSIVE_EVENTS = ['resyncGameState'];
+
+function isActivity(eventName) {
+  return !PASSIVE_EVENTS.includes(eventName);
+}
+
+function noteActivity(room, memberId, now = Date.now()) {
+  room.lastActivity = now;
+  room.idleWarned = false;
+  const player = room.players.find(p => p.id === memberId);
+  if (player) player.lastActivity = now;
+}
+
+// Whether the room stays open however long it sits idle
+function isRoomProtected(room) {
+  return room.players.some(p => p.connected) || MATCH_STATES.includes(room.state);
+}
+
+function getIdleStatus(room, { timeout, warning }, now = Date.now()) {
+  if (MATCH_STATES.includes(room.state)) return IDLE_STATUS.ACTIVE;
+
+  const idle = now - room.lastActivity;
+  if (idle >= timeout && !isRoomProtected(room)) return IDLE_STATUS.EXPIRED;
+  if (idle >= timeout - warning) return IDLE_STATUS.WARNING;
+  return IDLE_STATUS.ACTIVE;
+}
+
+// When an idle room will close if nothing happens
+function getClosingTime(room, { timeout }) {
+  return room.lastActivity + timeout;
+}
+
+module.exports = {
+  IDLE_STATUS,
+  isActivity,
+  noteActivity,
+  isRoomProtected,
+  getIdleStatus,
+  getClosingTime
+};
@@ -0,0 +1,36 @@
+// Room bans set by the host
+// A ban records the kicked member's name, session token and socket id, so
+// neither joining again under another name from the same connection nor
+// bringing back the old session gets them in. Names match case-insensitively.
+
+function sameName(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function addBan(room, target) {
+  room.bans.push({
+    name: target.name,
+    sessionToken: target.sessionToken || null,
+    socketId: target.socketId || null
+  });
+}
+
+function isBanned(room, { name, sessionToken, socketId }) {
+  return room.bans.some(ban =>
+    (name && sameName(ban.name, name)) ||
+    (sessionToken && ban.sessionToken === sessionToken) ||
+    (socketId && ban.socketId === socketId)
+  );
+}
+
+// Lifting a ban by name lifts every entry under that name, in any case, with
+// their tokens and sockets
+function removeBan(room, name) {
+  room.bans = room.bans.filter(ban => !sameName(ban.name, name));
+}
+
+module.exports = {
+  addBan,
+  isBanned,
+  removeBan
+};
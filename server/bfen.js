@@ -0,0 +1,252 @@
+// Bughouse FEN (BFEN) import/export
+// A BFEN string is a regular FEN whose placement field is followed by the
+// pieces in hand in brackets, e.g.
+//   rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[Qn] w KQkq - 0 1
+// Uppercase letters in the bank belong to White, lowercase to Black.
+// Promoted pieces are marked with a trailing '~' (e.g. Q~).
+const { PIECES, COLORS, createGameState, isInCheck } = require('../shared/chess');
+const { getSeat } = require('../shared/seating');
+
+const BANK_ORDER = [PIECES.QUEEN, PIECES.ROOK, PIECES.BISHOP, PIECES.KNIGHT, PIECES.PAWN];
+const PIECE_LETTERS = Object.values(PIECES);
+const FILES = 'abcdefgh';
+
+function pieceToLetter(piece) {
+  const letter = piece.color === COLORS.WHITE ? piece.type.toUpperCase() : piece.type;
+  return piece.promoted ? `${letter}~` : letter;
+}
+
+function letterToPiece(letter) {
+  const type = letter.toLowerCase();
+  if (!PIECE_LETTERS.includes(type)) return null;
+  return { type, color: letter === type ? COLORS.BLACK : COLORS.WHITE };
+}
+
+function squareToString(square) {
+  return `${FILES[square.col]}${8 - square.row}`;
+}
+
+function parseSquare(str) {
+  if (!/^[a-h][1-8]$/.test(str)) return null;
+  return { row: 8 - Number(str[1]), col: FILES.indexOf(str[0]) };
+}
+
+function serializeBank(whiteBank, blackBank) {
+  const sortBank = (bank) => [...bank].sort((a, b) => BANK_ORDER.indexOf(a.type) - BANK_ORDER.indexOf(b.type));
+  return [...sortBank(whiteBank), ...sortBank(blackBank)]
+    .map(piece => piece.color === COLORS.WHITE ? piece.type.toUpperCase() : piece.type)
+    .join('');
+}
+
+function serializeCastling(castlingRights) {
+  let result = '';
+  if (castlingRights[COLORS.WHITE].kingSide) result += 'K';
+  if (castlingRights[COLORS.WHITE].queenSide) result += 'Q';
+  if (castlingRights[COLORS.BLACK].kingSide) result += 'k';
+  if (castlingRights[COLORS.BLACK].queenSide) result += 'q';
+  return result || '-';
+}
+
+function toBfen(gameState, whiteBank = [], blackBank = []) {
+  const ranks = gameState.board.map(row => {
+    let rank = '';
+    let empty = 0;
+    for (const piece of row) {
+      if (!piece) {
+        empty++;
+        continue;
+      }
+      if (empty > 0) {
+        rank += empty;
+        empty = 0;
+      }
+      rank += pieceToLetter(piece);
+    }
+    return empty > 0 ? rank + empty : rank;
+  });
+
+  const enPassant = gameState.enPassantTarget ? squareToString(gameState.enPassantTarget) : '-';
+  const fullMove = Math.floor(gameState.moveHistory.length / 2) + 1;
+
+  return [
+    `${ranks.join('/')}[${serializeBank(whiteBank, blackBank)}]`,
+    gameState.turn,
+    serializeCastling(gameState.castlingRights),
+    enPassant,
+    0,
+    fullMove
+  ].join(' ');
+}
+
+function parsePlacement(placement) {
+  const rows = placement.split('/');
+  if (rows.length !== 8) return null;
+
+  const board = [];
+  for (const row of rows) {
+    const boardRow = [];
+    for (let i = 0; i < row.length; i++) {
+      const char = row[i];
+      if (/[1-8]/.test(char)) {
+        for (let n = 0; n < Number(char); n++) boardRow.push(null);
+        continue;
+      }
+      const piece = letterToPiece(char);
+      if (!piece) return null;
+      if (row[i + 1] === '~') {
+        piece.promoted = true;
+        i++;
+      }
+      boardRow.push(piece);
+    }
+    if (boardRow.length !== 8) return null;
+    board.push(boardRow);
+  }
+  return board;
+}
+
+function parseBank(holdings) {
+  const whiteBank = [];
+  const blackBank = [];
+  for (const char of holdings) {
+    const piece = letterToPiece(char);
+    if (!piece || piece.type === PIECES.KING) return null;
+    (piece.color === COLORS.WHITE ? whiteBank : blackBank).push(piece);
+  }
+  return { whiteBank, blackBank };
+}
+
+// Only keep castling rights that the position can actually support
+function parseCastling(field, board) {
+  const hasPiece = (row, col, type, color) => {
+    const piece = board[row][col];
+    return Boolean(piece && piece.type === type && piece.color === color);
+  };
+  const rights = (color, row, letters) => {
+    const kingHome = hasPiece(row, 4, PIECES.KING, color);
+    return {
+      kingSide: field.includes(letters[0]) && kingHome && hasPiece(row, 7, PIECES.ROOK, color),
+      queenSide: field.includes(letters[1]) && kingHome && hasPiece(row, 0, PIECES.ROOK, color)
+    };
+  };
+  return {
+    [COLORS.WHITE]: rights(COLORS.WHITE, 7, 'KQ'),
+    [COLORS.BLACK]: rights(COLORS.BLACK, 0, 'kq')
+  };
+}
+
+function parseBfen(bfen) {
+  if (typeof bfen !== 'string') {
+    return { success: false, error: 'BFEN must be a string' };
+  }
+
+  const fields = bfen.trim().split(/\s+/);
+  if (fields.length < 2 || fields.length > 6) {
+    return { success: false, error: 'Invalid BFEN: wrong number of fields' };
+  }
+
+  // The bank is either in brackets or given as a ninth '/'-separated rank
+  let placement = fields[0];
+  let holdings = '';
+  const bracketMatch = placement.match(/^([^[\]]+)\[([^[\]]*)\]$/);
+  if (bracketMatch) {
+    placement = bracketMatch[1];
+    holdings = bracketMatch[2];
+  } else if (placement.split('/').length === 9) {
+    const index = placement.lastIndexOf('/');
+    holdings = placement.substring(index + 1);
+    placement = placement.substring(0, index);
+  }
+
+  const board = parsePlacement(placement);
+  if (!board) {
+    return { success: false, error: 'Invalid BFEN: bad piece placement' };
+  }
+
+  const banks = parseBank(holdings);
+  if (!banks) {
+    return { success: false, error: 'Invalid BFEN: bad piece bank' };
+  }
+
+  const turn = fields[1];
+  if (turn !== COLORS.WHITE && turn !== COLORS.BLACK) {
+    return { success: false, error: 'Invalid BFEN: side to move must be w or b' };
+  }
+
+  for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+    const kings = board.flat().filter(p => p && p.type === PIECES.KING && p.color === color);
+    if (kings.length !== 1) {
+      return { success: false, error: 'Invalid BFEN: each side needs exactly one king' };
+    }
+  }
+
+  if ([...board[0], ...board[7]].some(p => p && p.type === PIECES.PAWN)) {
+    return { success: false, error: 'Invalid BFEN: pawns on the first or last rank' };
+  }
+
+  const opponent = turn === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+  if (isInCheck(board, opponent)) {
+    return { success: false, error: 'Invalid BFEN: side not to move is in check' };
+  }
+
+  const castlingField = fields[2] || '-';
+  if (!/^(-|K?Q?k?q?)$/.test(castlingField)) {
+    return { success: false, error: 'Invalid BFEN: bad castling field' };
+  }
+
+  let enPassantTarget = null;
+  const enPassantField = fields[3] || '-';
+  if (enPassantField !== '-') {
+    enPassantTarget = parseSquare(enPassantField);
+    const expectedRow = turn === COLORS.WHITE ? 2 : 5;
+    if (!enPassantTarget || enPassantTarget.row !== expectedRow) {
+      return { success: false, error: 'Invalid BFEN: bad en passant square' };
+    }
+  }
+
+  const gameState = {
+    ...createGameState(),
+    board,
+    turn,
+    castlingRights: parseCastling(castlingField, board),
+    enPassantTarget
+  };
+  gameState.isCheck = isInCheck(board, turn);
+
+  return { success: true, gameState, ...banks };
+}
+
+// Both boards plus the four seat banks, one BFEN string per board
+function exportRoomBfen(boards, pieceBanks) {
+  return boards.map((gameState, boardIndex) => {
+    return toBfen(gameState, pieceBanks[getSeat(boardIndex, COLORS.WHITE)], pieceBanks[getSeat(boardIndex, COLORS.BLACK)]);
+  });
+}
+
+function importRoomBfen(bfens) {
+  if (!Array.isArray(bfens) || bfens.length !== 2) {
+    return { success: false, error: 'Expected one BFEN per board' };
+  }
+
+  const boards = [];
+  const pieceBanks = { 0: [], 1: [], 2: [], 3: [] };
+
+  for (let boardIndex = 0; boardIndex < 2; boardIndex++) {
+    const result = parseBfen(bfens[boardIndex]);
+    if (!result.success) {
+      return { success: false, error: `Board ${boardIndex + 1}: ${result.error}` };
+    }
+    boards.push(result.gameState);
+    pieceBanks[getSeat(boardIndex, COLORS.WHITE)] = result.whiteBank;
+    pieceBanks[getSeat(boardIndex, COLORS.BLACK)] = result.blackBank;
+  }
+
+  return { success: true, boards, pieceBanks };
+}
+
+module.exports = {
+  toBfen,
+  parseBfen,
+  exportRoomBfen,
+  importRoomBfen
+};
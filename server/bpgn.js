@@ -0,0 +1,156 @@
+// Bughouse PGN (BPGN) import/export
+// Moves from both boards are written in the order they were played:
+//   1A. e4 {299.1} 1a. e5 {298.7} 1B. d4 {299.5} 2A. N@f3 ...
+// Board 0 is "A" and board 1 is "B"; uppercase marks White, lowercase Black.
+// Team A (WhiteA + BlackB) winning is "1-0".
+const { COLORS } = require('../shared/chess');
+
+const BOARD_LETTERS = ['A', 'B'];
+
+function escapeTag(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`;
+}
+
+function formatResult(result) {
+  if (!result || result.reason === 'aborted') return '*';
+  if (result.winner === 'A') return '1-0';
+  if (result.winner === 'B') return '0-1';
+  return '1/2-1/2';
+}
+
+function formatTermination(result) {
+  if (!result) return null;
+  if (result.reason === 'aborted') return 'Game aborted';
+  const board = result.boardIndex !== undefined ? ` on board ${BOARD_LETTERS[result.boardIndex]}` : '';
+  if (!result.winner) return `Draw by ${result.reason}${board}`;
+  return `Team ${result.winner} wins by ${result.reason}${board}`;
+}
+
+// players: names by seat position (0: WhiteA, 1: BlackA, 2: BlackB, 3: WhiteB)
+function exportBpgn({ moveLog, players, timeControl, startPosition, startedAt, result, site }) {
+  const tags = [
+    ['Event', 'Bughouse'],
+    ['Site', site || '?'],
+    ['Date', startedAt ? formatDate(startedAt) : '????.??.??'],
+    ['WhiteA', players[0] || '?'],
+    ['BlackA', players[1] || '?'],
+    ['WhiteB', players[3] || '?'],
+    ['BlackB', players[2] || '?'],
+    ['TimeControl', `${Math.round(timeControl.minutes * 60)}+${timeControl.increment}`],
+    ['Result', formatResult(result)]
+  ];
+  if (startPosition) {
+    tags.push(['SetUp', '1']);
+    tags.push(['FEN', startPosition.join(' | ')]);
+  }
+
+  const lines = tags.map(([name, value]) => `[${name} "${escapeTag(value)}"]`);
+
+  // Move numbers are counted per board and colour
+  const moveCounts = { 0: { w: 0, b: 0 }, 1: { w: 0, b: 0 } };
+  const moves = moveLog.map(entry => {
+    moveCounts[entry.boardIndex][entry.color]++;
+    const number = moveCounts[entry.boardIndex][entry.color];
+    const letter = BOARD_LETTERS[entry.boardIndex];
+    const label = entry.color === COLORS.WHITE ? letter : letter.toLowerCase();
+    const clock = entry.clock !== undefined ? ` {${(entry.clock / 1000).toFixed(1)}}` : '';
+    return `${number}${label}. ${entry.notation}${clock}`;
+  });
+
+  const termination = formatTermination(result);
+  if (termination) moves.push(`{${termination}}`);
+  moves.push(formatResult(result));
+
+  // Wrap the movetext at 80 columns like regular PGN
+  const movetext = [];
+  let line = '';
+  for (const token of moves) {
+    if (line && line.length + token.length + 1 > 80) {
+      movetext.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) movetext.push(line);
+
+  return `${lines.join('\n')}\n\n${movetext.join('\n')}\n`;
+}
+
+const RESULT_WINNERS = { '1-0': 'A', '0-1': 'B', '1/2-1/2': null };
+
+// Parses "300+2" (seconds + increment), as written by exportBpgn
+function parseTimeControl(value) {
+  const match = /^(\d+)(?:\+(\d+))?$/.exec(value || '');
+  if (!match) return null;
+  return { minutes: Number(match[1]) / 60, increment: Number(match[2] || 0) };
+}
+
+// Reads a BPGN game back into the shape exportBpgn takes. Clock comments
+// ({299.1}) become each entry's `clock` in ms; other comments are skipped.
+function parseBpgn(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { success: false, error: 'BPGN is empty' };
+  }
+
+  const tags = {};
+  const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/;
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let bodyStart = 0;
+  while (bodyStart < lines.length && (tagPattern.test(lines[bodyStart]) || !lines[bodyStart].trim())) {
+    const match = tagPattern.exec(lines[bodyStart]);
+    if (match) tags[match[1]] = match[2].replace(/\\(.)/g, '$1');
+    bodyStart++;
+  }
+
+  const movetext = lines.slice(bodyStart).join(' ');
+  const tokenPattern = /(\d+)([AaBb])\.\s*([^\s{]+)\s*(?:\{([^}]*)\})?/g;
+  const moveLog = [];
+  let match;
+  while ((match = tokenPattern.exec(movetext)) !== null) {
+    const letter = match[2];
+    const entry = {
+      boardIndex: BOARD_LETTERS.indexOf(letter.toUpperCase()),
+      color: letter === letter.toUpperCase() ? COLORS.WHITE : COLORS.BLACK,
+      notation: match[3]
+    };
+    const seconds = match[4] !== undefined ? Number(match[4].trim()) : NaN;
+    if (match[4] !== undefined && match[4].trim() !== '' && Number.isFinite(seconds)) {
+      entry.clock = Math.round(seconds * 1000);
+    }
+    moveLog.push(entry);
+  }
+
+  if (moveLog.length === 0) {
+    return { success: false, error: 'No moves found in BPGN' };
+  }
+
+  let startPosition = null;
+  if (tags.FEN) {
+    startPosition = tags.FEN.split('|').map(part => part.trim());
+    if (startPosition.length !== 2) {
+      return { success: false, error: 'BPGN FEN tag must hold one position per board' };
+    }
+  }
+
+  const resultTag = tags.Result || '*';
+  return {
+    success: true,
+    moveLog,
+    players: { 0: tags.WhiteA, 1: tags.BlackA, 2: tags.BlackB, 3: tags.WhiteB },
+    timeControl: parseTimeControl(tags.TimeControl),
+    startPosition,
+    result: resultTag in RESULT_WINNERS ? { winner: RESULT_WINNERS[resultTag] } : null
+  };
+}
+
+module.exports = {
+  exportBpgn,
+  parseBpgn
+};
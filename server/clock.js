@@ -0,0 +1,138 @@
+// Server-authoritative chess clocks for Bughouse
+// Every seat (player position 0-3) has its own clock. On each board only the
+// side to move has a running clock; a move stops it, adds the increment and
+// starts the opponent's clock.
+
+const DEFAULT_TIME_CONTROL = { minutes: 5, increment: 0 };
+
+function isValidTimeControl(timeControl) {
+  if (!timeControl || typeof timeControl !== 'object') return false;
+  const { minutes, increment } = timeControl;
+  return Number.isFinite(minutes) && minutes > 0 && minutes <= 60 &&
+         Number.isInteger(increment) && increment >= 0 && increment <= 60;
+}
+
+function createClocks(timeControl = DEFAULT_TIME_CONTROL) {
+  const base = Math.round(timeControl.minutes * 60 * 1000);
+  return {
+    timeControl: { minutes: timeControl.minutes, increment: timeControl.increment },
+    remaining: { 0: base, 1: base, 2: base, 3: base },
+    active: [null, null], // Seat whose clock is running on each board
+    lastUpdate: [null, null],
+    running: false
+  };
+}
+
+// Elapsed time is only charged when a clock is read or pressed
+function settleBoard(clocks, boardIndex, now) {
+  const position = clocks.active[boardIndex];
+  if (position === null || clocks.lastUpdate[boardIndex] === null) return;
+  clocks.remaining[position] = Math.max(0, clocks.remaining[position] - (now - clocks.lastUpdate[boardIndex]));
+  clocks.lastUpdate[boardIndex] = now;
+}
+
+function startClocks(clocks, activePositions, now = Date.now()) {
+  clocks.running = true;
+  activePositions.forEach((position, boardIndex) => {
+    clocks.active[boardIndex] = position;
+    clocks.lastUpdate[boardIndex] = now;
+  });
+}
+
+// Called after a move on a board: charge the mover, add the increment and
+// hand the clock to the opponent. Returns false if the mover had already flagged.
+function pressClock(clocks, boardIndex, nextPosition, now = Date.now()) {
+  if (!clocks.running) return true;
+
+  const position = clocks.active[boardIndex];
+  settleBoard(clocks, boardIndex, now);
+
+  if (position !== null) {
+    if (clocks.remaining[position] <= 0) return false;
+    clocks.remaining[position] += clocks.timeControl.increment * 1000;
+  }
+
+  clocks.active[boardIndex] = nextPosition;
+  clocks.lastUpdate[boardIndex] = now;
+  return true;
+}
+
+function stopClocks(clocks, now = Date.now()) {
+  if (!clocks.running) return;
+  settleBoard(clocks, 0, now);
+  settleBoard(clocks, 1, now);
+  clocks.active = [null, null];
+  clocks.lastUpdate = [null, null];
+  clocks.running = false;
+}
+
+function getRemainingTime(clocks, position, now = Date.now()) {
+  const boardIndex = clocks.active.indexOf(position);
+  if (boardIndex === -1 || clocks.lastUpdate[boardIndex] === null) {
+    return clocks.remaining[position];
+  }
+  return Math.max(0, clocks.remaining[position] - (now - clocks.lastUpdate[boardIndex]));
+}
+
+// Freezes the clocks but keeps track of whose turn it is on each board, so
+// startClocks(clocks, clocks.active) picks up where they stopped. Time up to
+// `now` is charged (pass the time the server went down when restoring a room).
+function pauseClocks(clocks, now = Date.now()) {
+  if (!clocks.running) return;
+  settleBoard(clocks, 0, now);
+  settleBoard(clocks, 1, now);
+  clocks.lastUpdate = [null, null];
+  clocks.running = false;
+}
+
+// Returns the seat that has run out of time, or null
+function getFlaggedPosition(clocks, now = Date.now()) {
+  if (!clocks.running) return null;
+  for (const position of clocks.active) {
+    if (position !== null && getRemainingTime(clocks, position, now) <= 0) {
+      return position;
+    }
+  }
+  return null;
+}
+
+// Milliseconds until the next running clock would reach zero
+function getTimeUntilFlag(clocks, now = Date.now()) {
+  if (!clocks.running) return null;
+  let soonest = null;
+  for (const position of clocks.active) {
+    if (position === null) continue;
+    const remaining = getRemainingTime(clocks, position, now);
+    if (soonest === null || remaining < soonest) soonest = remaining;
+  }
+  return soonest;
+}
+
+// Snapshot sent to clients; they count down the active seats locally
+function serializeClocks(clocks, now = Date.now()) {
+  return {
+    timeControl: clocks.timeControl,
+    remaining: {
+      0: getRemainingTime(clocks, 0, now),
+      1: getRemainingTime(clocks, 1, now),
+      2: getRemainingTime(clocks, 2, now),
+      3: getRemainingTime(clocks, 3, now)
+    },
+    active: [...clocks.active],
+    running: clocks.running
+  };
+}
+
+module.exports = {
+  DEFAULT_TIME_CONTROL,
+  isValidTimeControl,
+  createClocks,
+  startClocks,
+  pressClock,
+  stopClocks,
+  pauseClocks,
+  getRemainingTime,
+  getFlaggedPosition,
+  getTimeUntilFlag,
+  serializeClocks
+};
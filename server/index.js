@@ -7,12 +7,39 @@ const { v4: uuidv4 } = require('uuid');
 const {
   PIECES,
   COLORS,
+  DEFAULT_RULES,
   createGameState,
-  getLegalMoves,
   makeMove,
   dropPiece,
-  getValidDropSquares
-} = require('./chess');
+  getBankPieceType,
+  updateGameStatus
+} = require('../shared/chess');
+const { getTeammate, getOpponent, getPlayerBoard, getPlayerColor, getPlayerTeam, getSeat } = require('../shared/seating');
+const { diffGameState } = require('../shared/sync');
+const {
+  DEFAULT_TIME_CONTROL,
+  isValidTimeControl,
+  createClocks,
+  startClocks,
+  pressClock,
+  stopClocks,
+  pauseClocks,
+  getRemainingTime,
+  getFlaggedPosition,
+  getTimeUntilFlag,
+  serializeClocks
+} = require('./clock');
+const { exportRoomBfen, importRoomBfen } = require('./bfen');
+const { exportBpgn, parseBpgn } = require('./bpgn');
+const { replayMatch } = require('./replay');
+const { createStorage } = require('./storage');
+const { ROOM_STATES, transition, canPerform, hasStarted, stateFromSnapshot } = require('./lifecycle');
+const { hashPassword, verifyPassword } = require('./password');
+const { addBan, isBanned, removeBan } = require('./bans');
+const { isValidSeat, findFreeSeat, clearSwapRequests, changeSeat, takeSeat, requestSwap, declineSwap } = require('./seats');
+const { isDrop, addPremove, getReadyPremove } = require('./premoves');
+const { IDLE_STATUS, isActivity, noteActivity, getIdleStatus, getClosingTime } = require('./activity');
+const { DEFAULT_ROTATION, isValidRotation, rotateSeats, recordSeriesResult, getSeriesScore } = require('./rematch');
 
 const app = express();
 const server = http.createServer(app);
@@ -84,6 +111,25 @@ function isValidPieceType(type) {
   return ['k', 'q', 'r', 'b', 'n', 'p'].includes(type);
 }
 
+// Unlisted rooms stay out of the lobby; any room may also have a password
+const ROOM_VISIBILITIES = ['public', 'unlisted'];
+
+function isValidPassword(password) {
+  return typeof password === 'string' && password.length >= 1 && password.length <= 64;
+}
+
+// Only known rule options of the right type are accepted
+function sanitizeRules(rules) {
+  const sanitized = { ...DEFAULT_RULES };
+  if (!rules || typeof rules !== 'object') return sanitized;
+  Object.keys(DEFAULT_RULES).forEach(key => {
+    if (typeof rules[key] === typeof DEFAULT_RULES[key]) {
+      sanitized[key] = rules[key];
+    }
+  });
+  return sanitized;
+}
+
 // Security: Rate limiting for socket connections
 const connectionAttempts = new Map();
 const RATE_LIMIT_WINDOW = 60000; // 1 minute
@@ -119,9 +165,32 @@ setInterval(() => {
 // Serve static files from client build
 app.use(express.static(path.join(__dirname, '../client/dist')));
 
-// Game rooms storage
+// Game rooms storage. `rooms` is the live state; `storage` keeps a snapshot of
+// each room so in-flight games can be restored after a restart.
+const storage = createStorage();
 const rooms = new Map();
 const playerRooms = new Map(); // Maps socket.id to roomId
+const clockTimers = new Map(); // Maps roomId to pending flag-fall timeout
+const sessions = new Map(); // Maps session token to { roomId, playerId }
+const graceTimers = new Map(); // Maps playerId to the timeout that frees a disconnected seat
+const countdownTimers = new Map(); // Maps roomId to the timeout that starts a counted-down match
+const syncedGameStates = new Map(); // Maps roomId to { seq, state } of the last game state sent (see sync.js)
+
+// How long (ms) the countdown runs once all four players are ready
+const MATCH_COUNTDOWN = process.env.MATCH_COUNTDOWN !== undefined ? Number(process.env.MATCH_COUNTDOWN) : 3000;
+
+// A match can be aborted (no result) until this many moves have been played
+const ABORT_MOVE_LIMIT = 4;
+
+// How long a disconnected player's seat is held for them (clocks keep running)
+const SESSION_GRACE_PERIOD = Number(process.env.SESSION_GRACE_PERIOD) || 60 * 1000;
+
+// Rooms nobody has used for this long are closed (see activity.js), with a
+// warning to anyone still there this long before
+const IDLE_LIMITS = {
+  timeout: Number(process.env.ROOM_IDLE_TIMEOUT) || 30 * 60 * 1000,
+  warning: Number(process.env.ROOM_IDLE_WARNING) || 5 * 60 * 1000
+};
 
 // Team structure for Bughouse:
 // Teammates play OPPOSITE colors on different boards
@@ -132,12 +201,15 @@ const playerRooms = new Map(); // Maps socket.id to roomId
 // When Player 2 captures, piece goes to Player 0's bank (teammate)
 // When Player 3 captures, piece goes to Player 1's bank (teammate)
 
-function createRoom(roomId, hostName, hostId = null) {
+function createRoom(roomId, hostName, hostId = null, timeControl = DEFAULT_TIME_CONTROL) {
   return {
     id: roomId,
-    players: [], // [{ id, name, ready, socketId }]
+    players: [], // [{ id, name, ready, socketId, position, sessionToken, connected, disconnectedAt, swapRequest }]
     spectators: [],
-    gameStarted: false,
+    state: ROOM_STATES.WAITING, // See lifecycle.js
+    stateChangedAt: Date.now(),
+    countdownEndsAt: null,
+    pausedBy: null, // 'server' after a restart, or the id of the host who paused
     boards: [createGameState(), createGameState()], // Two boards
     pieceBanks: {
       // Banks for each player position (receives captures from teammate)
@@ -146,82 +218,745 @@ function createRoom(roomId, hostName, hostId = null) {
       2: [], // Board 1 Black's bank (receives from teammate Player 0 - Board 0 White)
       3: []  // Board 1 White's bank (receives from teammate Player 1 - Board 0 Black)
     },
+    timeControl: timeControl,
+    clocks: createClocks(timeControl),
+    rules: { ...DEFAULT_RULES },
+    startPosition: null, // Optional pair of BFEN strings the boards start from
+    moveLog: [], // Moves from both boards in the order they were played
+    startedAt: null,
+    result: null,
+    drawOffer: null, // { team, position } of a pending draw offer
+    rotation: DEFAULT_ROTATION, // How seats rotate for a rematch (see rematch.js)
+    series: null, // Running score of the same two pairs playing rematches
     chat: [],
     createdAt: Date.now(),
+    lastActivity: Date.now(),
+    idleWarned: false, // Set once the idle warning went out, until there is activity again
     hostName: hostName,
-    hostId: hostId
+    hostId: hostId,
+    visibility: 'public', // 'public' rooms are listed in the lobby, 'unlisted' ones need the code
+    passwordHash: null, // Set when joining needs a password
+    locked: false, // Locked rooms turn away new players and spectators
+    bans: [] // [{ name, sessionToken, socketId }] kept out of the room by the host (see bans.js)
+  };
+}
+
+// Puts both boards and all banks back to the room's starting position
+function resetBoards(room) {
+  if (room.startPosition) {
+    const result = importRoomBfen(room.startPosition);
+    room.boards = result.boards;
+    room.pieceBanks = result.pieceBanks;
+  } else {
+    room.boards = [createGameState(), createGameState()];
+    room.pieceBanks = { 0: [], 1: [], 2: [], 3: [] };
+  }
+}
+
+// Engine options for evaluating the position of the seat that moves next
+function getEngineOptions(room, playerIndex) {
+  return {
+    bank: room.pieceBanks[playerIndex],
+    rules: room.rules
+  };
+}
+
+// A side waiting for pieces may be able to drop once its bank changes
+function refreshWaitingStatus(room, boardIndex) {
+  const gameState = room.boards[boardIndex];
+  if (!gameState.isWaiting) return;
+
+  const newGameState = { ...gameState };
+  updateGameStatus(newGameState, getEngineOptions(room, getSeat(boardIndex, gameState.turn)));
+  room.boards[boardIndex] = newGameState;
+}
+
+// All four players are ready: start the match once the countdown runs out
+function startCountdown(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || !transition(room, ROOM_STATES.COUNTDOWN)) return;
+
+  room.countdownEndsAt = Date.now() + MATCH_COUNTDOWN;
+  countdownTimers.set(roomId, setTimeout(() => {
+    countdownTimers.delete(roomId);
+    if (startMatch(roomId)) {
+      io.to(roomId).emit('gameStart');
+      broadcastRoomState(roomId);
+      broadcastGameState(roomId);
+    }
+  }, MATCH_COUNTDOWN));
+  broadcastRoomState(roomId);
+}
+
+function clearCountdown(room) {
+  const timer = countdownTimers.get(room.id);
+  if (timer) {
+    clearTimeout(timer);
+    countdownTimers.delete(room.id);
+  }
+  room.countdownEndsAt = null;
+}
+
+function cancelCountdown(room) {
+  if (!transition(room, ROOM_STATES.WAITING)) return;
+  clearCountdown(room);
+}
+
+function startMatch(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || !transition(room, ROOM_STATES.PLAYING)) return false;
+
+  room.countdownEndsAt = null;
+  room.moveLog = [];
+  room.startedAt = Date.now();
+  room.result = null;
+  room.drawOffer = null;
+  startRoomClocks(roomId);
+  // A new match goes out as a snapshot rather than a diff against the last one
+  syncedGameStates.delete(roomId);
+  return true;
+}
+
+function pauseMatch(room, pausedBy, now = Date.now()) {
+  if (!transition(room, ROOM_STATES.PAUSED, now)) return false;
+
+  clearFlagCheck(room.id);
+  pauseClocks(room.clocks, now);
+  room.pausedBy = pausedBy;
+  return true;
+}
+
+function resumeMatch(room) {
+  if (!transition(room, ROOM_STATES.PLAYING)) return false;
+
+  room.pausedBy = null;
+  startClocks(room.clocks, room.clocks.active);
+  scheduleFlagCheck(room.id);
+  return true;
+}
+
+// A match paused by a server restart carries on once every player is back
+function resumeIfEveryoneBack(room) {
+  if (room.state !== ROOM_STATES.PAUSED || room.pausedBy !== 'server') return;
+  if (room.players.length === 4 && room.players.every(p => p.connected)) {
+    resumeMatch(room);
+    broadcastRoomState(room.id);
+    broadcastGameState(room.id);
+  }
+}
+
+// Back to the waiting room after a restart or when a player leaves mid-match
+function returnToWaiting(room) {
+  if (!transition(room, ROOM_STATES.WAITING)) return false;
+
+  clearCountdown(room);
+  room.pausedBy = null;
+  room.drawOffer = null;
+  resetBoards(room);
+  resetRoomClocks(room);
+  room.players.forEach(p => {
+    p.ready = false;
+    p.rematch = false;
+    p.premoves = [];
+  });
+  return true;
+}
+
+// Everyone asked for a rematch: rotate the seats and count down straight away
+function startRematch(room) {
+  rotateSeats(room.players, room.rotation);
+  if (!returnToWaiting(room)) return;
+
+  room.players.forEach(p => p.ready = true);
+  io.to(room.id).emit('gameRestart');
+  startCountdown(room.id);
+}
+
+// Appends the latest move on a board to the match's interleaved move log
+function recordMove(room, boardIndex, position) {
+  const { moveHistory } = room.boards[boardIndex];
+  const entry = moveHistory[moveHistory.length - 1];
+  room.moveLog.push({
+    boardIndex,
+    position,
+    color: getPlayerColor(position),
+    notation: entry.san,
+    timestamp: Date.now() - room.startedAt,
+    clock: getRemainingTime(room.clocks, position)
+  });
+}
+
+// Clocks: only the side to move on each board has a running clock
+function startRoomClocks(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  room.clocks = createClocks(room.timeControl);
+  startClocks(room.clocks, room.boards.map((gameState, boardIndex) => getSeat(boardIndex, gameState.turn)));
+  scheduleFlagCheck(roomId);
+}
+
+function resetRoomClocks(room) {
+  clearFlagCheck(room.id);
+  room.clocks = createClocks(room.timeControl);
+}
+
+function clearFlagCheck(roomId) {
+  const timer = clockTimers.get(roomId);
+  if (timer) {
+    clearTimeout(timer);
+    clockTimers.delete(roomId);
+  }
+}
+
+function scheduleFlagCheck(roomId) {
+  clearFlagCheck(roomId);
+
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  const timeUntilFlag = getTimeUntilFlag(room.clocks);
+  if (timeUntilFlag === null) return;
+
+  clockTimers.set(roomId, setTimeout(() => {
+    clockTimers.delete(roomId);
+    if (!checkFlag(roomId)) {
+      scheduleFlagCheck(roomId);
+    }
+  }, timeUntilFlag + 50));
+}
+
+// Ends the match if a running clock has reached zero. Returns true if it did.
+function checkFlag(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || room.state !== ROOM_STATES.PLAYING) return false;
+
+  const flaggedPosition = getFlaggedPosition(room.clocks);
+  if (flaggedPosition === null) return false;
+
+  endGame(roomId, {
+    winner: getPlayerTeam(getOpponent(flaggedPosition)),
+    reason: 'timeout',
+    boardIndex: getPlayerBoard(flaggedPosition),
+    position: flaggedPosition
+  });
+  return true;
+}
+
+// Plays a move ({ from, to, promotion }) or drop ({ pieceType, row, col }) for
+// a seated player and ends the match on checkmate or stalemate. Returns
+// { success, error }; the caller broadcasts the new state.
+function applyMove(room, player, move) {
+  const boardIndex = getPlayerBoard(player.position);
+  const playerColor = getPlayerColor(player.position);
+  const gameState = room.boards[boardIndex];
+
+  if (gameState.turn !== playerColor) {
+    return { success: false, error: 'Not your turn' };
+  }
+
+  const engineOptions = getEngineOptions(room, getOpponent(player.position));
+  let result;
+  if (isDrop(move)) {
+    // Check if piece is in player's bank
+    const bank = room.pieceBanks[player.position];
+    const pieceIndex = bank.findIndex(p => p.type === move.pieceType && p.color === playerColor);
+    if (pieceIndex === -1) {
+      return { success: false, error: 'Piece not in bank' };
+    }
+
+    result = dropPiece(gameState, move.pieceType, move.row, move.col, playerColor, engineOptions);
+    if (!result.success) return result;
+    bank.splice(pieceIndex, 1);
+  } else {
+    const { from, to, promotion } = move;
+    result = makeMove(gameState, from.row, from.col, to.row, to.col, promotion, engineOptions);
+    if (!result.success) return result;
+  }
+
+  room.boards[boardIndex] = result.gameState;
+  pressClock(room.clocks, boardIndex, getOpponent(player.position));
+  recordMove(room, boardIndex, player.position);
+  scheduleFlagCheck(room.id);
+
+  // Transfer captured piece to teammate's bank
+  if (result.capturedPiece) {
+    const teammate = getTeammate(player.position);
+    // Convert piece color to teammate's color (promoted pieces revert to pawns)
+    const newPiece = {
+      type: getBankPieceType(result.capturedPiece),
+      color: getPlayerColor(teammate)
+    };
+    room.pieceBanks[teammate].push(newPiece);
+    refreshWaitingStatus(room, getPlayerBoard(teammate));
+  }
+
+  // Check for game over
+  if (result.gameState.isCheckmate) {
+    endGame(room.id, {
+      winner: getPlayerTeam(player.position),
+      reason: 'checkmate',
+      boardIndex: boardIndex
+    });
+  } else if (result.gameState.isStalemate) {
+    endGame(room.id, {
+      winner: null,
+      reason: 'stalemate',
+      boardIndex: boardIndex
+    });
+  }
+  return { success: true };
+}
+
+// Plays queued premoves on both boards as their turns come, until none is
+// ready. A premove that turns out illegal cancels the rest of that player's
+// queue, since later entries were planned on top of it.
+function runPremoves(room) {
+  let played = true;
+  while (played && room.state === ROOM_STATES.PLAYING) {
+    played = false;
+    for (const boardIndex of [0, 1]) {
+      const position = getSeat(boardIndex, room.boards[boardIndex].turn);
+      const player = room.players.find(p => p.position === position);
+      const premove = player && getReadyPremove(player, room.pieceBanks[position]);
+      if (!premove) continue;
+      if (checkFlag(room.id)) return;
+
+      const result = applyMove(room, player, premove);
+      if (result.success) {
+        player.premoves.shift();
+        played = true;
+      } else {
+        player.premoves = [];
+      }
+      sendPremoves(player, result.error);
+      if (room.state !== ROOM_STATES.PLAYING) return;
+    }
+  }
+}
+
+// Premoves are private: only their player sees them
+function sendPremoves(player, error) {
+  if (!player.socketId) return;
+  io.to(player.socketId).emit('premoves', { premoves: player.premoves, error });
+}
+
+function clearAllPremoves(room) {
+  room.players.forEach(p => p.premoves = []);
+}
+
+// The first result stands: once finished, later endings are ignored
+function endGame(roomId, result) {
+  const room = rooms.get(roomId);
+  if (!room || !transition(room, ROOM_STATES.FINISHED)) return;
+
+  clearFlagCheck(roomId);
+  stopClocks(room.clocks);
+  room.drawOffer = null;
+  room.pausedBy = null;
+  clearAllPremoves(room);
+  room.result = { ...result, endedAt: Date.now() };
+  room.result.gameId = archiveGame(room, result);
+  Object.freeze(room.result);
+  room.series = recordSeriesResult(room.series, room.players, result);
+
+  broadcastRoomState(roomId);
+  broadcastGameState(roomId);
+  io.to(roomId).emit('gameOver', { ...result, gameId: room.result.gameId });
+}
+
+// Saves a finished match to the archive and returns its id
+function archiveGame(room, result) {
+  const game = {
+    id: uuidv4(),
+    roomId: room.id,
+    players: room.players
+      .map(p => ({
+        name: p.name,
+        position: p.position,
+        team: getPlayerTeam(p.position),
+        boardIndex: getPlayerBoard(p.position),
+        color: getPlayerColor(p.position)
+      }))
+      .sort((a, b) => a.position - b.position),
+    timeControl: room.timeControl,
+    rules: room.rules,
+    startPosition: room.startPosition,
+    startedAt: room.startedAt,
+    endedAt: room.result.endedAt,
+    result,
+    moveLog: room.moveLog,
+    listed: room.visibility === 'public' && !room.passwordHash // Private rooms' games are only reachable by id
+  };
+
+  storage.saveGame(game).catch(err => console.error(`Failed to archive game ${game.id}:`, err));
+  return game.id;
+}
+
+function createPlayer(roomId, name, socketId, position) {
+  const player = {
+    id: uuidv4(),
+    name,
+    ready: false,
+    socketId,
+    position,
+    sessionToken: uuidv4(),
+    connected: true,
+    disconnectedAt: null,
+    lastActivity: Date.now(),
+    swapRequest: null, // Id of the player we asked to swap seats with
+    premoves: [], // Queued premoves and pre-drops (see premoves.js)
+    rematch: false // Asked for a rematch after the last game
   };
+  sessions.set(player.sessionToken, { roomId, playerId: player.id });
+  return player;
+}
+
+function clearGraceTimer(playerId) {
+  const timer = graceTimers.get(playerId);
+  if (timer) {
+    clearTimeout(timer);
+    graceTimers.delete(playerId);
+  }
+}
+
+// Keeps a dropped player's seat (and running clock) until they resume or the
+// grace period runs out
+function holdSeat(roomId, player) {
+  player.connected = false;
+  player.socketId = null;
+  player.disconnectedAt = Date.now();
+
+  clearGraceTimer(player.id);
+  graceTimers.set(player.id, setTimeout(() => {
+    graceTimers.delete(player.id);
+    handlePlayerLeave(null, roomId, player.id);
+  }, SESSION_GRACE_PERIOD));
+
+  broadcastRoomState(roomId);
+}
+
+// Tells everyone still in the room that it is gone, then removes it
+function closeRoom(roomId, reason) {
+  io.to(roomId).emit('roomClosed', { reason });
+  const socketIds = io.sockets.adapter.rooms.get(roomId);
+  if (socketIds) {
+    [...socketIds].forEach(socketId => {
+      playerRooms.delete(socketId);
+      const roomSocket = io.sockets.sockets.get(socketId);
+      if (roomSocket) roomSocket.leave(roomId);
+    });
+  }
+  deleteRoom(roomId);
 }
 
-function getTeammate(playerIndex) {
-  // Team A: 0 <-> 2, Team B: 1 <-> 3
-  const teammates = { 0: 2, 1: 3, 2: 0, 3: 1 };
-  return teammates[playerIndex];
+function deleteRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  clearFlagCheck(roomId);
+  clearCountdown(room);
+  syncedGameStates.delete(roomId);
+  room.players.forEach(p => {
+    sessions.delete(p.sessionToken);
+    clearGraceTimer(p.id);
+  });
+  rooms.delete(roomId);
+  storage.deleteRoom(roomId).catch(err => console.error(`Failed to delete room ${roomId} from storage:`, err));
 }
 
-function getPlayerBoard(playerIndex) {
-  return playerIndex < 2 ? 0 : 1;
+// Socket ids and spectators don't outlive the process, so they aren't saved
+function persistRoom(room) {
+  const snapshot = {
+    ...room,
+    players: room.players.map(p => ({ ...p, socketId: null })),
+    spectators: [],
+    savedAt: Date.now()
+  };
+  storage.saveRoom(snapshot).catch(err => console.error(`Failed to save room ${room.id}:`, err));
 }
 
-function getPlayerColor(playerIndex) {
-  // Bughouse: teammates play opposite colors on different boards
-  // Board 0: Position 0 = White, Position 1 = Black
-  // Board 1: Position 2 = Black, Position 3 = White
-  // This means: Positions 0,3 are White; Positions 1,2 are Black
-  return (playerIndex === 0 || playerIndex === 3) ? COLORS.WHITE : COLORS.BLACK;
+// Brings a saved room back with every seat held for its player to resume.
+// A match in progress is paused (its clocks charged up to the save) until all
+// four players are back; a countdown that was running starts over.
+function restoreRoom(snapshot) {
+  const { savedAt, gameStarted, ...saved } = snapshot;
+  const room = { ...createRoom(saved.id, saved.hostName), ...saved, spectators: [] };
+  room.state = stateFromSnapshot(snapshot);
+  rooms.set(room.id, room);
+
+  if (room.state === ROOM_STATES.COUNTDOWN) {
+    room.state = ROOM_STATES.WAITING;
+    room.countdownEndsAt = null;
+    room.players.forEach(p => p.ready = false);
+  } else if (room.state === ROOM_STATES.PLAYING) {
+    pauseMatch(room, 'server', savedAt);
+  }
+  if (room.result) Object.freeze(room.result);
+
+  room.players.forEach(player => {
+    player.premoves = player.premoves || [];
+    sessions.set(player.sessionToken, { roomId: room.id, playerId: player.id });
+    holdSeat(room.id, player);
+  });
 }
 
-function getPlayerTeam(playerIndex) {
-  return playerIndex % 2 === 0 ? 'A' : 'B';
+async function restoreRooms() {
+  const snapshots = await storage.loadRooms();
+  snapshots.forEach(restoreRoom);
+  if (snapshots.length > 0) {
+    console.log(`Restored ${snapshots.length} room(s) from storage`);
+  }
 }
 
+// Every broadcast follows a change to the room, so rooms are saved here
 function broadcastRoomState(roomId) {
   const room = rooms.get(roomId);
   if (!room) return;
 
+  persistRoom(room);
+
   io.to(roomId).emit('roomState', {
     id: room.id,
     players: room.players.map(p => ({
       id: p.id,
       name: p.name,
       ready: p.ready,
-      position: p.position
+      position: p.position,
+      connected: p.connected,
+      disconnectedAt: p.disconnectedAt,
+      swapRequest: p.swapRequest || null,
+      rematch: Boolean(p.rematch),
+      idleMs: p.lastActivity ? Date.now() - p.lastActivity : null
     })),
     spectators: room.spectators.length,
-    gameStarted: room.gameStarted,
+    spectatorList: room.spectators.map(s => ({ id: s.id, name: s.name })),
+    state: room.state,
+    // Time left rather than an end time, so client clock skew doesn't matter
+    countdownMs: room.countdownEndsAt ? Math.max(0, room.countdownEndsAt - Date.now()) : null,
+    pausedBy: room.pausedBy,
+    result: room.result,
+    rotation: room.rotation,
+    series: getSeriesScore(room.series, room.players),
+    gameStarted: hasStarted(room),
     boards: room.boards,
     pieceBanks: room.pieceBanks,
     hostName: room.hostName,
-    hostId: room.hostId
+    hostId: room.hostId,
+    timeControl: room.timeControl,
+    rules: room.rules,
+    startPosition: room.startPosition,
+    visibility: room.visibility,
+    hasPassword: Boolean(room.passwordHash),
+    locked: room.locked,
+    bannedNames: room.bans.map(ban => ban.name),
+    gracePeriod: SESSION_GRACE_PERIOD
   });
 }
 
+function getGameState(room) {
+  return {
+    boards: room.boards,
+    pieceBanks: room.pieceBanks,
+    clocks: serializeClocks(room.clocks),
+    state: room.state,
+    gameStarted: hasStarted(room),
+    drawOffer: room.drawOffer,
+    abortable: !room.result && room.moveLog.length < ABORT_MOVE_LIMIT
+  };
+}
+
+// Sends what changed since the last update as a numbered `gameDelta`, or the
+// whole state as a `gameState` snapshot when it can't be diffed
 function broadcastGameState(roomId) {
   const room = rooms.get(roomId);
   if (!room) return;
 
-  io.to(roomId).emit('gameState', {
-    boards: room.boards,
-    pieceBanks: room.pieceBanks,
-    gameStarted: room.gameStarted
-  });
+  persistRoom(room);
+
+  const synced = syncedGameStates.get(roomId);
+  // Copied so later changes to the room can be diffed against it
+  const state = JSON.parse(JSON.stringify(getGameState(room)));
+  const delta = synced ? diffGameState(synced.state, state) : null;
+  if (delta && Object.keys(delta).length === 0) return;
+
+  const seq = synced ? synced.seq + 1 : 1;
+  syncedGameStates.set(roomId, { seq, state });
+  if (delta) {
+    io.to(roomId).emit('gameDelta', { ...delta, seq });
+  } else {
+    io.to(roomId).emit('gameState', { ...state, seq });
+  }
+}
+
+// Full game state for one client that joined, reconnected or missed a delta
+function sendGameSnapshot(socket, room) {
+  broadcastGameState(room.id);
+  const { seq, state } = syncedGameStates.get(room.id);
+  socket.emit('gameState', { ...state, seq });
 }
 
 // API Routes
+// Only public rooms are listed; unlisted rooms are reached by their code
 app.get('/api/rooms', (req, res) => {
   const roomList = [];
   rooms.forEach((room, id) => {
+    if (room.visibility !== 'public') return;
     roomList.push({
       id,
       playerCount: room.players.length,
       spectatorCount: room.spectators.length,
-      gameStarted: room.gameStarted,
-      hostName: room.hostName
+      gameStarted: hasStarted(room),
+      hostName: room.hostName,
+      hasPassword: Boolean(room.passwordHash),
+      locked: room.locked
     });
   });
   res.json(roomList);
 });
 
+// A room with a password only shares its position and moves with the people
+// who got in: players send their session token in the X-Session-Token header,
+// spectators the access token they were given on joining
+function canReadRoom(room, req) {
+  if (!room.passwordHash) return true;
+  const token = req.get('X-Session-Token');
+  return Boolean(token) && (
+    room.players.some(p => p.sessionToken === token) ||
+    room.spectators.some(s => s.accessToken === token)
+  );
+}
+
+app.get('/api/rooms/:id/bfen', (req, res) => {
+  const room = rooms.get(sanitizeString(req.params.id, 6).toUpperCase());
+  if (!room) {
+    res.status(404).json({ error: 'Room not found' });
+    return;
+  }
+  if (!canReadRoom(room, req)) {
+    res.status(403).json({ error: 'Only members of this room can export it' });
+    return;
+  }
+  res.json({ boards: exportRoomBfen(room.boards, room.pieceBanks) });
+});
+
+app.get('/api/rooms/:id/bpgn', (req, res) => {
+  const room = rooms.get(sanitizeString(req.params.id, 6).toUpperCase());
+  if (!room) {
+    res.status(404).json({ error: 'Room not found' });
+    return;
+  }
+  if (!canReadRoom(room, req)) {
+    res.status(403).json({ error: 'Only members of this room can export it' });
+    return;
+  }
+
+  const players = {};
+  room.players.forEach(p => players[p.position] = p.name);
+
+  const bpgn = exportBpgn({
+    moveLog: room.moveLog,
+    players,
+    timeControl: room.timeControl,
+    startPosition: room.startPosition,
+    startedAt: room.startedAt,
+    result: room.result,
+    site: req.get('host')
+  });
+
+  res.type('text/plain');
+  res.attachment(`bughouse-${room.id}.bpgn`);
+  res.send(bpgn);
+});
+
+// Archive of finished games, newest first
+app.get('/api/games', async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const player = sanitizeString(req.query.player, 20);
+
+  try {
+    const { games, total } = await storage.listGames({ player, offset: (page - 1) * limit, limit });
+    res.json({ games, page, limit, total });
+  } catch (err) {
+    console.error('Failed to list games:', err);
+    res.status(500).json({ error: 'Failed to load games' });
+  }
+});
+
+app.get('/api/games/:id', async (req, res) => {
+  // Security: Game ids are UUIDs (they are also file names in file storage)
+  if (!/^[0-9a-f-]{36}$/.test(req.params.id)) {
+    res.status(404).json({ error: 'Game not found' });
+    return;
+  }
+
+  try {
+    const game = await storage.getGame(req.params.id);
+    if (!game) {
+      res.status(404).json({ error: 'Game not found' });
+      return;
+    }
+    res.json(game);
+  } catch (err) {
+    console.error('Failed to load game:', err);
+    res.status(500).json({ error: 'Failed to load game' });
+  }
+});
+
+// Every position of an archived game, for the replay viewer
+app.get('/api/games/:id/replay', async (req, res) => {
+  if (!/^[0-9a-f-]{36}$/.test(req.params.id)) {
+    res.status(404).json({ error: 'Game not found' });
+    return;
+  }
+
+  try {
+    const game = await storage.getGame(req.params.id);
+    if (!game) {
+      res.status(404).json({ error: 'Game not found' });
+      return;
+    }
+
+    const replay = replayMatch(game);
+    if (!replay.success) {
+      res.status(500).json({ error: replay.error });
+      return;
+    }
+
+    const { moveLog, ...summary } = game;
+    res.json({ game: summary, frames: replay.frames, hasTimes: replay.hasTimes });
+  } catch (err) {
+    console.error('Failed to replay game:', err);
+    res.status(500).json({ error: 'Failed to load game' });
+  }
+});
+
+// Replays a pasted BPGN file (sent as plain text)
+app.post('/api/replay', express.text({ limit: '100kb' }), (req, res) => {
+  const parsed = parseBpgn(req.body);
+  if (!parsed.success) {
+    res.status(400).json({ error: parsed.error });
+    return;
+  }
+
+  const replay = replayMatch(parsed);
+  if (!replay.success) {
+    res.status(400).json({ error: replay.error });
+    return;
+  }
+
+  const players = [0, 1, 2, 3]
+    .filter(position => parsed.players[position])
+    .map(position => ({ name: sanitizeString(parsed.players[position], 20), position }));
+
+  res.json({
+    game: { players, timeControl: parsed.timeControl, result: parsed.result },
+    frames: replay.frames,
+    hasTimes: replay.hasTimes
+  });
+});
+
 // Socket.io handling
 io.on('connection', (socket) => {
   // Security: Rate limit connections
@@ -239,8 +974,17 @@ io.on('connection', (socket) => {
     playerId: null,
     roomId: null
   };
+  // Lets the host's kick clear it from another connection
+  socket.data.auth = socketAuth;
+
+  // Whatever a room member does keeps their room alive
+  socket.use((packet, next) => {
+    const room = socketAuth.roomId && rooms.get(socketAuth.roomId);
+    if (room && isActivity(packet[0])) noteActivity(room, socketAuth.playerId);
+    next();
+  });
 
-  socket.on('createRoom', ({ playerName }, callback) => {
+  socket.on('createRoom', async ({ playerName, timeControl, visibility, password }, callback) => {
     if (typeof callback !== 'function') return;
 
     // Security: Validate and sanitize input
@@ -250,22 +994,44 @@ io.on('connection', (socket) => {
       return;
     }
 
+    if (timeControl !== undefined && !isValidTimeControl(timeControl)) {
+      callback({ success: false, error: 'Invalid time control' });
+      return;
+    }
+
+    if (visibility !== undefined && !ROOM_VISIBILITIES.includes(visibility)) {
+      callback({ success: false, error: 'Invalid visibility' });
+      return;
+    }
+
+    if (password && typeof password !== 'string') {
+      callback({ success: false, error: 'Invalid password' });
+      return;
+    }
+
+    if (password && !isValidPassword(password)) {
+      callback({ success: false, error: 'Password must be at most 64 characters' });
+      return;
+    }
+
     // Security: Prevent creating multiple rooms
     if (socketAuth.roomId) {
       callback({ success: false, error: 'Already in a room' });
       return;
     }
 
+    const passwordHash = password ? await hashPassword(password) : null;
+    if (socketAuth.roomId) {
+      callback({ success: false, error: 'Already in a room' });
+      return;
+    }
+
     const roomId = uuidv4().substring(0, 6).toUpperCase();
-    const room = createRoom(roomId, sanitizedName);
+    const room = createRoom(roomId, sanitizedName, null, timeControl || DEFAULT_TIME_CONTROL);
+    room.visibility = visibility || 'public';
+    room.passwordHash = passwordHash;
 
-    const player = {
-      id: uuidv4(),
-      name: sanitizedName,
-      ready: false,
-      socketId: socket.id,
-      position: 0
-    };
+    const player = createPlayer(roomId, sanitizedName, socket.id, 0);
 
     room.players.push(player);
     room.hostId = player.id;
@@ -278,11 +1044,11 @@ io.on('connection', (socket) => {
 
     socket.join(roomId);
 
-    callback({ success: true, roomId, playerId: player.id, position: 0 });
+    callback({ success: true, roomId, playerId: player.id, position: 0, sessionToken: player.sessionToken });
     broadcastRoomState(roomId);
   });
 
-  socket.on('joinRoom', ({ roomId, playerName }, callback) => {
+  socket.on('joinRoom', async ({ roomId, playerName, password, previousSessionToken }, callback) => {
     if (typeof callback !== 'function') return;
 
     // Security: Validate and sanitize input
@@ -312,12 +1078,42 @@ io.on('connection', (socket) => {
       return;
     }
 
+    if (room.locked) {
+      callback({ success: false, error: 'Room is locked' });
+      return;
+    }
+
+    // A kicked client passes the session it was kicked from
+    const identity = { name: sanitizedName, socketId: socket.id };
+    if (typeof previousSessionToken === 'string') identity.sessionToken = previousSessionToken;
+    if (isBanned(room, identity)) {
+      callback({ success: false, error: 'You are banned from this room' });
+      return;
+    }
+
+    if (room.passwordHash) {
+      if (!password) {
+        callback({ success: false, error: 'Password required', passwordRequired: true });
+        return;
+      }
+      if (!(await verifyPassword(password, room.passwordHash))) {
+        callback({ success: false, error: 'Incorrect password', passwordRequired: true });
+        return;
+      }
+      // The socket may have joined elsewhere, or the room closed or locked, while the password was checked
+      if (socketAuth.roomId || rooms.get(sanitizedRoomId) !== room || room.locked) {
+        callback({ success: false, error: 'Could not join the room' });
+        return;
+      }
+    }
+
     if (room.players.length >= 4) {
       // Join as spectator
       const spectator = {
         id: uuidv4(),
         name: sanitizedName,
-        socketId: socket.id
+        socketId: socket.id,
+        accessToken: uuidv4() // Lets them export a password room's position and moves
       };
       room.spectators.push(spectator);
       playerRooms.set(socket.id, sanitizedRoomId);
@@ -328,18 +1124,21 @@ io.on('connection', (socket) => {
 
       socket.join(sanitizedRoomId);
 
-      callback({ success: true, roomId: sanitizedRoomId, playerId: spectator.id, isSpectator: true });
+      callback({
+        success: true,
+        roomId: sanitizedRoomId,
+        playerId: spectator.id,
+        isSpectator: true,
+        accessToken: spectator.accessToken
+      });
       broadcastRoomState(sanitizedRoomId);
+      if (hasStarted(room)) {
+        sendGameSnapshot(socket, room);
+      }
       return;
     }
 
-    const player = {
-      id: uuidv4(),
-      name: sanitizedName,
-      ready: false,
-      socketId: socket.id,
-      position: room.players.length
-    };
+    const player = createPlayer(sanitizedRoomId, sanitizedName, socket.id, findFreeSeat(room.players));
 
     room.players.push(player);
     playerRooms.set(socket.id, sanitizedRoomId);
@@ -350,237 +1149,508 @@ io.on('connection', (socket) => {
 
     socket.join(sanitizedRoomId);
 
-    callback({ success: true, roomId: sanitizedRoomId, playerId: player.id, position: player.position });
+    callback({
+      success: true,
+      roomId: sanitizedRoomId,
+      playerId: player.id,
+      position: player.position,
+      sessionToken: player.sessionToken
+    });
     broadcastRoomState(sanitizedRoomId);
 
     // Send chat history to new player (limit to last 50 messages)
     socket.emit('chatHistory', room.chat.slice(-50));
   });
 
-  socket.on('toggleReady', ({ roomId, playerId }) => {
-    // Security: Validate against socket's auth
-    if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
+  socket.on('resumeSession', ({ sessionToken }, callback) => {
+    if (typeof callback !== 'function') return;
+
+    // Security: Validate input
+    if (typeof sessionToken !== 'string' || sessionToken.length > 64) {
+      callback({ success: false, error: 'Invalid session' });
+      return;
+    }
+
+    if (socketAuth.roomId) {
+      callback({ success: false, error: 'Already in a room' });
+      return;
+    }
+
+    const session = sessions.get(sessionToken);
+    const room = session && rooms.get(session.roomId);
+    if (room && isBanned(room, { sessionToken, socketId: socket.id })) {
+      sessions.delete(sessionToken);
+      callback({ success: false, error: 'You are banned from this room' });
+      return;
+    }
+
+    const player = room && room.players.find(p => p.id === session.playerId);
+    if (!player) {
+      sessions.delete(sessionToken);
+      callback({ success: false, error: 'Session expired' });
+      return;
+    }
+
+    clearGraceTimer(player.id);
+
+    // The same session opened on another connection: that one loses the seat
+    const oldSocket = player.socketId && io.sockets.sockets.get(player.socketId);
+    if (oldSocket && oldSocket.id !== socket.id) {
+      playerRooms.delete(oldSocket.id);
+      oldSocket.leave(room.id);
+      oldSocket.emit('sessionReplaced');
+      oldSocket.disconnect(true);
+    }
+
+    player.socketId = socket.id;
+    player.connected = true;
+    player.disconnectedAt = null;
+    playerRooms.set(socket.id, room.id);
+
+    // Security: Store auth info
+    socketAuth.playerId = player.id;
+    socketAuth.roomId = room.id;
+
+    socket.join(room.id);
+
+    callback({
+      success: true,
+      roomId: room.id,
+      playerId: player.id,
+      playerName: player.name,
+      position: player.position,
+      sessionToken
+    });
+    broadcastRoomState(room.id);
+    socket.emit('chatHistory', room.chat.slice(-50));
+    resumeIfEveryoneBack(room);
+
+    if (hasStarted(room)) {
+      sendGameSnapshot(socket, room);
+      sendPremoves(player);
+      if (room.result) {
+        socket.emit('gameOver', room.result);
+      }
+    }
+  });
+
+  socket.on('toggleReady', ({ roomId, playerId }) => {
+    // Security: Validate against socket's auth
+    if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
       return;
     }
 
     const room = rooms.get(roomId);
-    if (!room) return;
+    if (!room || !canPerform(room, 'ready')) return;
 
     const player = room.players.find(p => p.id === playerId);
     if (player) {
       player.ready = !player.ready;
-      broadcastRoomState(roomId);
 
-      // Check if all 4 players are ready
+      // All 4 players ready starts the countdown; anyone un-readying stops it
       if (room.players.length === 4 && room.players.every(p => p.ready)) {
-        room.gameStarted = true;
-        io.to(roomId).emit('gameStart');
-        broadcastGameState(roomId);
+        startCountdown(roomId);
+      } else if (room.state === ROOM_STATES.COUNTDOWN) {
+        cancelCountdown(room);
       }
+      broadcastRoomState(roomId);
     }
   });
 
-  socket.on('getLegalMoves', ({ roomId, boardIndex, row, col }, callback) => {
-    if (typeof callback !== 'function') return;
+  // Seat changes share these checks: a seated player, before the game starts
+  function getSeatingPlayer(roomId, playerId) {
+    // Security: Validate against socket's auth
+    if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
+      return null;
+    }
 
-    // Security: Validate input
-    if (!isValidBoardIndex(boardIndex) || !isValidPosition(row, col)) {
-      callback({ moves: [] });
+    const room = rooms.get(roomId);
+    if (!room) return null;
+
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) return null;
+
+    if (!canPerform(room, 'configure')) {
+      socket.emit('moveError', { error: 'Cannot change seats during a game.' });
+      return null;
+    }
+
+    return { room, player };
+  }
+
+  socket.on('takeSeat', ({ roomId, playerId, position }) => {
+    const seating = getSeatingPlayer(roomId, playerId);
+    if (!seating) return;
+
+    const result = takeSeat(seating.room.players, seating.player, position);
+    if (!result.success) {
+      socket.emit('moveError', { error: result.error });
       return;
     }
+    broadcastRoomState(roomId);
+  });
 
-    const room = rooms.get(roomId);
-    if (!room || !room.gameStarted) {
-      callback({ moves: [] });
+  socket.on('requestSeatSwap', ({ roomId, playerId, position }) => {
+    const seating = getSeatingPlayer(roomId, playerId);
+    if (!seating) return;
+
+    const result = requestSwap(seating.room.players, seating.player, position);
+    if (!result.success) {
+      socket.emit('moveError', { error: result.error });
+      return;
+    }
+    broadcastRoomState(roomId);
+  });
+
+  socket.on('declineSeatSwap', ({ roomId, playerId, position }) => {
+    const seating = getSeatingPlayer(roomId, playerId);
+    if (!seating) return;
+
+    const result = declineSwap(seating.room.players, seating.player, position);
+    if (!result.success) {
+      socket.emit('moveError', { error: result.error });
+      return;
+    }
+    broadcastRoomState(roomId);
+  });
+
+  // The host moves any player to any seat, swapping with its occupant
+  socket.on('arrangeSeat', ({ roomId, playerId, targetId, position }) => {
+    const seating = getSeatingPlayer(roomId, playerId);
+    if (!seating) return;
+
+    const { room } = seating;
+    if (room.hostId !== playerId) {
+      socket.emit('moveError', { error: 'Only the host can arrange seats.' });
       return;
     }
 
-    const gameState = room.boards[boardIndex];
-    const moves = getLegalMoves(gameState, row, col);
-    callback({ moves });
+    const target = room.players.find(p => p.id === targetId);
+    if (!target || !isValidSeat(position)) {
+      socket.emit('moveError', { error: 'Invalid seat' });
+      return;
+    }
+
+    changeSeat(room.players, target, position);
+    broadcastRoomState(roomId);
   });
 
-  socket.on('makeMove', ({ roomId, playerId, boardIndex, from, to, promotion }) => {
+  socket.on('setTimeControl', ({ roomId, playerId, timeControl }) => {
     // Security: Validate against socket's auth
     if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
       return;
     }
 
-    // Security: Validate input
-    if (!isValidBoardIndex(boardIndex)) {
-      socket.emit('moveError', { error: 'Invalid board' });
+    if (!isValidTimeControl(timeControl)) {
+      socket.emit('moveError', { error: 'Invalid time control' });
       return;
     }
 
-    if (!from || !to || !isValidPosition(from.row, from.col) || !isValidPosition(to.row, to.col)) {
-      socket.emit('moveError', { error: 'Invalid position' });
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    if (room.hostId !== playerId) {
+      socket.emit('moveError', { error: 'Only the host can change the time control.' });
       return;
     }
 
-    // Security: Validate promotion piece if provided
-    if (promotion && !isValidPieceType(promotion)) {
-      socket.emit('moveError', { error: 'Invalid promotion piece' });
+    if (!canPerform(room, 'configure')) {
+      socket.emit('moveError', { error: 'Cannot change the time control during a game.' });
+      return;
+    }
+
+    room.timeControl = { minutes: timeControl.minutes, increment: timeControl.increment };
+    resetRoomClocks(room);
+    broadcastRoomState(roomId);
+  });
+
+  socket.on('setRules', ({ roomId, playerId, rules }) => {
+    // Security: Validate against socket's auth
+    if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
       return;
     }
 
     const room = rooms.get(roomId);
-    if (!room || !room.gameStarted) return;
+    if (!room) return;
 
-    const player = room.players.find(p => p.id === playerId);
-    if (!player) return;
+    if (room.hostId !== playerId) {
+      socket.emit('moveError', { error: 'Only the host can change the rules.' });
+      return;
+    }
+
+    if (!canPerform(room, 'configure')) {
+      socket.emit('moveError', { error: 'Cannot change the rules during a game.' });
+      return;
+    }
 
-    const expectedBoard = getPlayerBoard(player.position);
-    const expectedColor = getPlayerColor(player.position);
+    room.rules = sanitizeRules(rules);
+    broadcastRoomState(roomId);
+  });
 
-    if (boardIndex !== expectedBoard) {
-      socket.emit('moveError', { error: 'Wrong board' });
+  socket.on('setRotation', ({ roomId, playerId, scheme }) => {
+    // Security: Validate against socket's auth
+    if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
       return;
     }
 
-    const gameState = room.boards[boardIndex];
-    if (gameState.turn !== expectedColor) {
-      socket.emit('moveError', { error: 'Not your turn' });
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    if (room.hostId !== playerId) {
+      socket.emit('moveError', { error: 'Only the host can change the seat rotation.' });
       return;
     }
 
-    const result = makeMove(gameState, from.row, from.col, to.row, to.col, promotion);
+    if (!canPerform(room, 'configure') && !canPerform(room, 'rematch')) {
+      socket.emit('moveError', { error: 'Cannot change the seat rotation during a game.' });
+      return;
+    }
 
-    if (!result.success) {
-      socket.emit('moveError', { error: result.error });
+    if (!isValidRotation(scheme)) {
+      socket.emit('moveError', { error: 'Invalid seat rotation.' });
       return;
     }
 
-    room.boards[boardIndex] = result.gameState;
+    room.rotation = scheme;
+    broadcastRoomState(roomId);
+  });
 
-    // Transfer captured piece to teammate's bank
-    if (result.capturedPiece) {
-      const teammate = getTeammate(player.position);
-      // Convert piece color to teammate's color
-      const newPiece = {
-        type: result.capturedPiece.type,
-        color: getPlayerColor(teammate)
-      };
-      room.pieceBanks[teammate].push(newPiece);
+  socket.on('setStartPosition', ({ roomId, playerId, bfen }) => {
+    // Security: Validate against socket's auth
+    if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
+      return;
     }
 
-    broadcastGameState(roomId);
+    const room = rooms.get(roomId);
+    if (!room) return;
 
-    // Check for game over
-    if (result.gameState.isCheckmate) {
-      const winningTeam = getPlayerTeam(player.position);
-      io.to(roomId).emit('gameOver', {
-        winner: winningTeam,
-        reason: 'checkmate',
-        boardIndex: boardIndex
-      });
-    } else if (result.gameState.isStalemate) {
-      io.to(roomId).emit('gameOver', {
-        winner: null,
-        reason: 'stalemate',
-        boardIndex: boardIndex
-      });
+    if (room.hostId !== playerId) {
+      socket.emit('moveError', { error: 'Only the host can set the starting position.' });
+      return;
+    }
+
+    if (!canPerform(room, 'configure')) {
+      socket.emit('moveError', { error: 'Cannot change the starting position during a game.' });
+      return;
     }
+
+    // A null position goes back to the standard setup
+    if (bfen === null) {
+      room.startPosition = null;
+    } else {
+      const sanitizedBfen = Array.isArray(bfen) ? bfen.map(str => sanitizeString(str, 120)) : null;
+      const result = importRoomBfen(sanitizedBfen);
+      if (!result.success) {
+        socket.emit('moveError', { error: result.error });
+        return;
+      }
+      room.startPosition = sanitizedBfen;
+    }
+
+    resetBoards(room);
+    broadcastRoomState(roomId);
   });
 
-  socket.on('dropPiece', ({ roomId, playerId, pieceType, row, col }) => {
+  socket.on('makeMove', ({ roomId, playerId, boardIndex, from, to, promotion }, callback) => {
     // Security: Validate against socket's auth
     if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
+      refuseMove(callback, 'You are not playing in this room', true);
       return;
     }
 
     // Security: Validate input
-    if (!isValidPieceType(pieceType) || !isValidPosition(row, col)) {
-      socket.emit('moveError', { error: 'Invalid input' });
+    if (!isValidBoardIndex(boardIndex)) {
+      refuseMove(callback, 'Invalid board');
+      return;
+    }
+
+    if (!from || !to || !isValidPosition(from.row, from.col) || !isValidPosition(to.row, to.col)) {
+      refuseMove(callback, 'Invalid position');
+      return;
+    }
+
+    // Security: Validate promotion piece if provided
+    if (promotion && !isValidPieceType(promotion)) {
+      refuseMove(callback, 'Invalid promotion piece');
       return;
     }
 
     const room = rooms.get(roomId);
-    if (!room || !room.gameStarted) return;
+    if (!room) {
+      refuseMove(callback, 'Room not found', true);
+      return;
+    }
+
+    if (!canPerform(room, 'move')) {
+      refuseMove(callback, room.state === ROOM_STATES.PAUSED ? 'The game is paused.' : 'The game is not in progress.');
+      return;
+    }
 
     const player = room.players.find(p => p.id === playerId);
-    if (!player) return;
+    if (!player) {
+      refuseMove(callback, 'You are not playing in this room', true);
+      return;
+    }
 
-    const boardIndex = getPlayerBoard(player.position);
-    const playerColor = getPlayerColor(player.position);
-    const gameState = room.boards[boardIndex];
+    if (boardIndex !== getPlayerBoard(player.position)) {
+      refuseMove(callback, 'Wrong board');
+      return;
+    }
+
+    playByHand(room, player, { from, to, promotion }, callback);
+  });
 
-    if (gameState.turn !== playerColor) {
-      socket.emit('moveError', { error: 'Not your turn' });
+  socket.on('dropPiece', ({ roomId, playerId, pieceType, row, col }, callback) => {
+    // Security: Validate against socket's auth
+    if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
+      refuseMove(callback, 'You are not playing in this room', true);
       return;
     }
 
-    // Check if piece is in player's bank
-    const bank = room.pieceBanks[player.position];
-    const pieceIndex = bank.findIndex(p => p.type === pieceType && p.color === playerColor);
+    // Security: Validate input
+    if (!isValidPieceType(pieceType) || !isValidPosition(row, col)) {
+      refuseMove(callback, 'Invalid input');
+      return;
+    }
 
-    if (pieceIndex === -1) {
-      socket.emit('moveError', { error: 'Piece not in bank' });
+    const room = rooms.get(roomId);
+    if (!room) {
+      refuseMove(callback, 'Room not found', true);
       return;
     }
 
-    const result = dropPiece(gameState, pieceType, row, col, playerColor);
+    if (!canPerform(room, 'move')) {
+      refuseMove(callback, room.state === ROOM_STATES.PAUSED ? 'The game is paused.' : 'The game is not in progress.');
+      return;
+    }
 
-    if (!result.success) {
-      socket.emit('moveError', { error: result.error });
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) {
+      refuseMove(callback, 'You are not playing in this room', true);
       return;
     }
 
-    // Remove piece from bank
-    bank.splice(pieceIndex, 1);
-    room.boards[boardIndex] = result.gameState;
+    playByHand(room, player, { pieceType, row, col }, callback);
+  });
 
-    broadcastGameState(roomId);
+  // Moves sent with an acknowledgement get their outcome there, so the client
+  // knows which of its moves was turned down. Without one, errors go out as
+  // moveError and refusals that never did (`silently`) stay unanswered.
+  function refuseMove(callback, error, silently = false) {
+    if (typeof callback === 'function') {
+      callback({ success: false, error });
+    } else if (!silently) {
+      socket.emit('moveError', { error });
+    }
+  }
 
-    // Check for game over
-    if (result.gameState.isCheckmate) {
-      const winningTeam = getPlayerTeam(player.position);
-      io.to(roomId).emit('gameOver', {
-        winner: winningTeam,
-        reason: 'checkmate',
-        boardIndex: boardIndex
-      });
-    } else if (result.gameState.isStalemate) {
-      io.to(roomId).emit('gameOver', {
-        winner: null,
-        reason: 'stalemate',
-        boardIndex: boardIndex
-      });
+  // A move played by hand replaces anything still queued, then the other
+  // side's premoves get their turn
+  function playByHand(room, player, move, callback) {
+    if (checkFlag(room.id)) {
+      refuseMove(callback, 'A clock ran out: the game is over', true);
+      return;
     }
-  });
 
-  socket.on('getDropSquares', ({ roomId, playerId, pieceType }, callback) => {
-    if (typeof callback !== 'function') return;
+    const result = applyMove(room, player, move);
+    if (!result.success) {
+      refuseMove(callback, result.error);
+      return;
+    }
+
+    if (player.premoves.length > 0) {
+      player.premoves = [];
+      sendPremoves(player);
+    }
+    runPremoves(room);
+    if (room.state === ROOM_STATES.PLAYING) {
+      broadcastGameState(room.id);
+    }
+    // After the broadcast, so the client already has the move when told
+    if (typeof callback === 'function') callback({ success: true });
+  }
 
+  socket.on('queuePremove', ({ roomId, playerId, move }) => {
     // Security: Validate against socket's auth
     if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
-      callback({ squares: [] });
       return;
     }
 
     // Security: Validate input
-    if (!isValidPieceType(pieceType)) {
-      callback({ squares: [] });
-      return;
+    let premove;
+    if (move && move.pieceType !== undefined) {
+      if (!isValidPieceType(move.pieceType) || move.pieceType === 'k' || !isValidPosition(move.row, move.col)) {
+        socket.emit('moveError', { error: 'Invalid premove' });
+        return;
+      }
+      premove = { pieceType: move.pieceType, row: move.row, col: move.col };
+    } else {
+      if (!move || !move.from || !move.to ||
+          !isValidPosition(move.from.row, move.from.col) || !isValidPosition(move.to.row, move.to.col) ||
+          (move.promotion && !isValidPieceType(move.promotion))) {
+        socket.emit('moveError', { error: 'Invalid premove' });
+        return;
+      }
+      premove = {
+        from: { row: move.from.row, col: move.from.col },
+        to: { row: move.to.row, col: move.to.col },
+        promotion: move.promotion || undefined
+      };
     }
 
     const room = rooms.get(roomId);
-    if (!room || !room.gameStarted) {
-      callback({ squares: [] });
+    if (!room) return;
+
+    if (!canPerform(room, 'move')) {
+      socket.emit('moveError', { error: 'The game is not in progress.' });
       return;
     }
 
     const player = room.players.find(p => p.id === playerId);
-    if (!player) {
-      callback({ squares: [] });
+    if (!player) return;
+
+    const result = addPremove(player, premove);
+    if (!result.success) {
+      socket.emit('moveError', { error: result.error });
+      return;
+    }
+    sendPremoves(player);
+
+    // Queued on our own turn (or a pre-drop whose piece is here): play it now
+    const movesBefore = room.moveLog.length;
+    runPremoves(room);
+    if (room.state === ROOM_STATES.PLAYING && room.moveLog.length > movesBefore) {
+      broadcastGameState(roomId);
+    }
+  });
+
+  socket.on('clearPremoves', ({ roomId, playerId }) => {
+    // Security: Validate against socket's auth
+    if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
       return;
     }
 
-    const boardIndex = getPlayerBoard(player.position);
-    const playerColor = getPlayerColor(player.position);
-    const gameState = room.boards[boardIndex];
+    const room = rooms.get(roomId);
+    if (!room) return;
 
-    const squares = getValidDropSquares(gameState.board, pieceType, playerColor);
-    callback({ squares });
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) return;
+
+    player.premoves = [];
+    sendPremoves(player);
+  });
+
+  // A client that missed a delta asks for the whole state again
+  socket.on('resyncGameState', ({ roomId }) => {
+    // Security: Validate against socket's auth
+    if (socketAuth.roomId !== roomId) {
+      return;
+    }
+
+    const room = rooms.get(roomId);
+    if (!room || !hasStarted(room)) return;
+
+    sendGameSnapshot(socket, room);
   });
 
   socket.on('chatMessage', ({ roomId, playerId, message, isTeamOnly }) => {
@@ -619,12 +1689,13 @@ io.on('connection', (socket) => {
       room.chat = room.chat.slice(-100);
     }
     room.chat.push(chatMessage);
+    persistRoom(room);
 
     if (isTeamOnly && player) {
       // Send only to team members
       const team = getPlayerTeam(player.position);
       room.players.forEach(p => {
-        if (getPlayerTeam(p.position) === team) {
+        if (getPlayerTeam(p.position) === team && p.socketId) {
           io.to(p.socketId).emit('chatMessage', chatMessage);
         }
       });
@@ -633,6 +1704,112 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Resigning, aborting and draws need a seated player in a game still in progress
+  function getPlayingPlayer(roomId, playerId) {
+    // Security: Validate against socket's auth
+    if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
+      return null;
+    }
+
+    const room = rooms.get(roomId);
+    if (!room || !canPerform(room, 'conclude')) return null;
+
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) return null;
+
+    return { room, player };
+  }
+
+  socket.on('resign', ({ roomId, playerId }) => {
+    const playing = getPlayingPlayer(roomId, playerId);
+    if (!playing) return;
+
+    const { position } = playing.player;
+    endGame(roomId, {
+      winner: getPlayerTeam(getOpponent(position)),
+      reason: 'resignation',
+      boardIndex: getPlayerBoard(position),
+      position
+    });
+  });
+
+  socket.on('abort', ({ roomId, playerId }) => {
+    const playing = getPlayingPlayer(roomId, playerId);
+    if (!playing) return;
+
+    if (playing.room.moveLog.length >= ABORT_MOVE_LIMIT) {
+      socket.emit('moveError', { error: `A game can only be aborted in its first ${ABORT_MOVE_LIMIT} moves.` });
+      return;
+    }
+
+    endGame(roomId, {
+      winner: null,
+      reason: 'aborted',
+      position: playing.player.position
+    });
+  });
+
+  // Draws are agreed between teams: one player offers for their team and
+  // either player of the other team can accept
+  socket.on('offerDraw', ({ roomId, playerId }) => {
+    const playing = getPlayingPlayer(roomId, playerId);
+    if (!playing) return;
+
+    const { room, player } = playing;
+    const team = getPlayerTeam(player.position);
+    if (room.drawOffer && room.drawOffer.team !== team) {
+      socket.emit('moveError', { error: 'The other team has already offered a draw.' });
+      return;
+    }
+
+    room.drawOffer = { team, position: player.position };
+    broadcastGameState(roomId);
+  });
+
+  socket.on('acceptDraw', ({ roomId, playerId }) => {
+    const playing = getPlayingPlayer(roomId, playerId);
+    if (!playing) return;
+
+    const { room, player } = playing;
+    if (!room.drawOffer || room.drawOffer.team === getPlayerTeam(player.position)) {
+      socket.emit('moveError', { error: 'There is no draw offer to accept.' });
+      return;
+    }
+
+    endGame(roomId, {
+      winner: null,
+      reason: 'agreement'
+    });
+  });
+
+  // Turns down the other team's offer, or withdraws our own
+  socket.on('declineDraw', ({ roomId, playerId }) => {
+    const playing = getPlayingPlayer(roomId, playerId);
+    if (!playing || !playing.room.drawOffer) return;
+
+    playing.room.drawOffer = null;
+    broadcastGameState(roomId);
+  });
+
+  socket.on('toggleRematch', ({ roomId, playerId }) => {
+    // Security: Validate against socket's auth
+    if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
+      return;
+    }
+
+    const room = rooms.get(roomId);
+    if (!room || !canPerform(room, 'rematch')) return;
+
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) return;
+
+    player.rematch = !player.rematch;
+    if (room.players.length === 4 && room.players.every(p => p.rematch)) {
+      startRematch(room);
+    }
+    broadcastRoomState(roomId);
+  });
+
   socket.on('restartGame', ({ roomId, playerId }) => {
     // Security: Validate against socket's auth
     if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
@@ -654,16 +1831,125 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Reset game state
-    room.boards = [createGameState(), createGameState()];
-    room.pieceBanks = { 0: [], 1: [], 2: [], 3: [] };
-    room.gameStarted = false;
-    room.players.forEach(p => p.ready = false);
+    if (!canPerform(room, 'restart') || !returnToWaiting(room)) return;
 
     io.to(roomId).emit('gameRestart');
     broadcastRoomState(roomId);
   });
 
+  // Moderation is the host's alone
+  function getHostedRoom(roomId, playerId) {
+    // Security: Validate against socket's auth
+    if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
+      return null;
+    }
+
+    const room = rooms.get(roomId);
+    if (!room) return null;
+
+    if (room.hostId !== playerId) {
+      socket.emit('moveError', { error: 'Only the host can do that.' });
+      return null;
+    }
+
+    return room;
+  }
+
+  socket.on('pauseGame', ({ roomId, playerId }) => {
+    const room = getHostedRoom(roomId, playerId);
+    if (!room) return;
+
+    if (!canPerform(room, 'pause')) {
+      socket.emit('moveError', { error: 'The game is not in progress.' });
+      return;
+    }
+
+    pauseMatch(room, playerId);
+    broadcastRoomState(roomId);
+    broadcastGameState(roomId);
+  });
+
+  socket.on('resumeGame', ({ roomId, playerId }) => {
+    const room = getHostedRoom(roomId, playerId);
+    if (!room) return;
+
+    if (!canPerform(room, 'resume')) {
+      socket.emit('moveError', { error: 'The game is not paused.' });
+      return;
+    }
+
+    resumeMatch(room);
+    broadcastRoomState(roomId);
+    broadcastGameState(roomId);
+  });
+
+  socket.on('kickPlayer', ({ roomId, playerId, targetId, ban }) => {
+    const room = getHostedRoom(roomId, playerId);
+    if (!room) return;
+
+    if (targetId === playerId) {
+      socket.emit('moveError', { error: 'You cannot kick yourself.' });
+      return;
+    }
+
+    const target = room.players.find(p => p.id === targetId) || room.spectators.find(s => s.id === targetId);
+    if (!target) {
+      socket.emit('moveError', { error: 'Player not found' });
+      return;
+    }
+
+    if (ban) {
+      addBan(room, target);
+    }
+
+    const targetSocket = target.socketId && io.sockets.sockets.get(target.socketId);
+    if (targetSocket) {
+      targetSocket.emit('kicked', { banned: Boolean(ban) });
+    }
+
+    handlePlayerLeave(targetSocket || null, roomId, targetId);
+
+    // The kicked connection stays open, so a ban on its socket id holds
+    if (targetSocket) {
+      targetSocket.data.auth.roomId = null;
+      targetSocket.data.auth.playerId = null;
+    }
+
+    const message = `${target.name} was ${ban ? 'banned' : 'kicked'} by the host.`;
+    io.to(roomId).emit('playerLeft', { message });
+  });
+
+  socket.on('unbanPlayer', ({ roomId, playerId, name }) => {
+    const room = getHostedRoom(roomId, playerId);
+    if (!room || typeof name !== 'string') return;
+
+    removeBan(room, name);
+    broadcastRoomState(roomId);
+  });
+
+  socket.on('setRoomLocked', ({ roomId, playerId, locked }) => {
+    const room = getHostedRoom(roomId, playerId);
+    if (!room) return;
+
+    room.locked = Boolean(locked);
+    broadcastRoomState(roomId);
+  });
+
+  socket.on('transferHost', ({ roomId, playerId, targetId }) => {
+    const room = getHostedRoom(roomId, playerId);
+    if (!room) return;
+
+    const target = room.players.find(p => p.id === targetId);
+    if (!target || target.id === playerId) {
+      socket.emit('moveError', { error: 'Host rights can only go to another player.' });
+      return;
+    }
+
+    room.hostId = target.id;
+    room.hostName = target.name;
+    broadcastRoomState(roomId);
+  });
+
   socket.on('leaveRoom', ({ roomId, playerId }) => {
     // Security: Validate against socket's auth
     if (socketAuth.roomId !== roomId || socketAuth.playerId !== playerId) {
@@ -683,7 +1969,7 @@ io.on('connection', (socket) => {
         const player = room.players.find(p => p.socketId === socket.id);
         const spectator = room.spectators.find(s => s.socketId === socket.id);
         if (player) {
-          handlePlayerLeave(socket, roomId, player.id);
+          holdSeat(roomId, player);
         } else if (spectator) {
           room.spectators = room.spectators.filter(s => s.socketId !== socket.id);
           broadcastRoomState(roomId);
@@ -701,10 +1987,12 @@ function handlePlayerLeave(socket, roomId, playerId) {
 
   const playerIndex = room.players.findIndex(p => p.id === playerId);
   if (playerIndex !== -1) {
-    room.players.splice(playerIndex, 1);
+    const [player] = room.players.splice(playerIndex, 1);
+    sessions.delete(player.sessionToken);
+    clearGraceTimer(player.id);
 
-    // Reassign positions
-    room.players.forEach((p, idx) => p.position = idx);
+    // Everyone else keeps their seat
+    clearSwapRequests(room.players, [player]);
 
     // If the host left, assign a new host from remaining players
     if (playerId === room.hostId && room.players.length > 0) {
@@ -713,14 +2001,14 @@ function handlePlayerLeave(socket, roomId, playerId) {
     }
 
     if (room.players.length === 0) {
-      rooms.delete(roomId);
+      // Spectators may still be watching
+      if (socket) socket.leave(roomId);
+      closeRoom(roomId, 'empty');
     } else {
       // If game was started, end it
-      if (room.gameStarted) {
-        room.gameStarted = false;
-        room.boards = [createGameState(), createGameState()];
-        room.pieceBanks = { 0: [], 1: [], 2: [], 3: [] };
-        room.players.forEach(p => p.ready = false);
+      if (room.state === ROOM_STATES.COUNTDOWN) {
+        cancelCountdown(room);
+      } else if (returnToWaiting(room)) {
         io.to(roomId).emit('playerLeft', { message: 'A player left. Game reset.' });
       }
       broadcastRoomState(roomId);
@@ -733,8 +2021,11 @@ function handlePlayerLeave(socket, roomId, playerId) {
     }
   }
 
-  socket.leave(roomId);
-  playerRooms.delete(socket.id);
+  // No socket when a disconnected player's grace period runs out
+  if (socket) {
+    socket.leave(roomId);
+    playerRooms.delete(socket.id);
+  }
 }
 
 // Catch-all route to serve React app
@@ -742,26 +2033,33 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/dist/index.html'));
 });
 
-// Security: Clean up abandoned rooms periodically (every 5 minutes)
-const ROOM_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+// Close rooms that have gone idle, warning anyone still in them first
 setInterval(() => {
   const now = Date.now();
   rooms.forEach((room, roomId) => {
-    // Remove rooms older than 30 minutes with no active players
-    if (room.players.length === 0 && now - room.createdAt > ROOM_TIMEOUT) {
-      rooms.delete(roomId);
-      console.log(`Cleaned up abandoned room: ${roomId}`);
-    }
-    // Also clean up rooms that have been inactive for too long
-    // (players still listed but likely disconnected without proper cleanup)
-    if (now - room.createdAt > ROOM_TIMEOUT * 2) {
-      rooms.delete(roomId);
-      console.log(`Cleaned up stale room: ${roomId}`);
+    const status = getIdleStatus(room, IDLE_LIMITS, now);
+    if (status === IDLE_STATUS.EXPIRED) {
+      closeRoom(roomId, 'idle');
+      console.log(`Closed idle room: ${roomId}`);
+    } else if (status === IDLE_STATUS.WARNING && !room.idleWarned) {
+      room.idleWarned = true;
+      io.to(roomId).emit('roomIdleWarning', { closesInMs: getClosingTime(room, IDLE_LIMITS) - now });
     }
   });
-}, 5 * 60 * 1000);
+}, 60 * 1000);
+
+// Let pending room saves finish before exiting
+function shutdown() {
+  storage.flush().finally(() => process.exit(0));
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`Bughouse server running on port ${PORT}`);
-});
+restoreRooms()
+  .catch(err => console.error('Failed to restore rooms:', err))
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`Bughouse server running on port ${PORT}`);
+    });
+  });
@@ -0,0 +1,78 @@
+// Match lifecycle of a room
+//   waiting   -> countdown  all four players are ready
+//   countdown -> waiting    someone un-readies or leaves before the start
+//   countdown -> playing    the countdown runs out
+//   playing  <-> paused     the host pauses, or the server restarted mid-game
+//   playing/paused -> finished  checkmate, stalemate, timeout, resignation, draw or abort
+//   countdown/playing/paused/finished -> waiting  restart, or a player leaves
+// Socket handlers ask `canPerform` whether an action fits the current state
+// instead of checking flags themselves, and every change goes through
+// `transition`, so a finished match can't be finished (or played on) again.
+
+const ROOM_STATES = {
+  WAITING: 'waiting',
+  COUNTDOWN: 'countdown',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  FINISHED: 'finished'
+};
+
+const TRANSITIONS = {
+  waiting: ['countdown'],
+  countdown: ['waiting', 'playing'],
+  playing: ['paused', 'finished', 'waiting'],
+  paused: ['playing', 'finished', 'waiting'],
+  finished: ['waiting']
+};
+
+// States in which each kind of request is accepted
+const ACTIONS = {
+  configure: ['waiting'], // time control, rules, start position and seats
+  ready: ['waiting', 'countdown'],
+  move: ['playing'],
+  conclude: ['playing', 'paused'], // resign, abort and draws
+  pause: ['playing'],
+  resume: ['paused'],
+  restart: ['playing', 'paused', 'finished'],
+  rematch: ['finished']
+};
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Moves the room to a new state; returns false (and changes nothing) if the
+// transition isn't allowed
+function transition(room, to, now = Date.now()) {
+  if (!canTransition(room.state, to)) return false;
+  room.state = to;
+  room.stateChangedAt = now;
+  return true;
+}
+
+function canPerform(room, action) {
+  return (ACTIONS[action] || []).includes(room.state);
+}
+
+// True once a match has begun, until the room goes back to waiting
+function hasStarted(room) {
+  return room.state === ROOM_STATES.PLAYING ||
+         room.state === ROOM_STATES.PAUSED ||
+         room.state === ROOM_STATES.FINISHED;
+}
+
+// Rooms saved before there were states only had `gameStarted` and `result`
+function stateFromSnapshot(snapshot) {
+  if (snapshot.state && TRANSITIONS[snapshot.state]) return snapshot.state;
+  if (!snapshot.gameStarted) return ROOM_STATES.WAITING;
+  return snapshot.result ? ROOM_STATES.FINISHED : ROOM_STATES.PLAYING;
+}
+
+module.exports = {
+  ROOM_STATES,
+  canTransition,
+  transition,
+  canPerform,
+  hasStarted,
+  stateFromSnapshot
+};
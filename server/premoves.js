@@ -0,0 +1,36 @@
+// Premoves and pre-drops
+// A player can queue moves while it isn't their turn. The queue lives on the
+// server so the first entry is played the moment the turn arrives; entries are
+// only checked for legality then. A pre-drop may name a piece that isn't in
+// the bank yet: it waits at the head of the queue until the piece arrives.
+// Queue entries are { from, to, promotion } moves or { pieceType, row, col } drops.
+
+const MAX_PREMOVES = 10;
+
+function isDrop(premove) {
+  return Boolean(premove.pieceType);
+}
+
+function addPremove(player, premove) {
+  if (player.premoves.length >= MAX_PREMOVES) {
+    return { success: false, error: `At most ${MAX_PREMOVES} premoves can be queued` };
+  }
+  player.premoves.push(premove);
+  return { success: true };
+}
+
+// The premove to play now, or null if the queue is empty or its head is a
+// pre-drop still waiting for its piece
+function getReadyPremove(player, bank) {
+  const [premove] = player.premoves;
+  if (!premove) return null;
+  if (isDrop(premove) && !bank.some(p => p.type === premove.pieceType)) return null;
+  return premove;
+}
+
+module.exports = {
+  MAX_PREMOVES,
+  isDrop,
+  addPremove,
+  getReadyPremove
+};
@@ -0,0 +1,93 @@
+// Rematches and the running score of a room's series
+// Once all four players ask for a rematch, seats rotate by the room's scheme.
+// Every scheme keeps partners together, so the series score belongs to the
+// two pairs of players rather than to the seat letters: a pair may sit as
+// Team A in one game and Team B in the next. The series starts over as soon
+// as the pairs change.
+
+const { getPlayerTeam } = require('../shared/seating');
+
+// New seat for the player in each seat (index = old seat)
+const ROTATION_SCHEMES = {
+  none: [0, 1, 2, 3], // Keep seats
+  colors: [1, 0, 3, 2], // Same board, other colour
+  boards: [3, 2, 1, 0], // Other board, same colour
+  partners: [2, 3, 0, 1] // Take your partner's seat: other board and colour
+};
+
+const DEFAULT_ROTATION = 'colors';
+
+function isValidRotation(scheme) {
+  return Object.prototype.hasOwnProperty.call(ROTATION_SCHEMES, scheme);
+}
+
+function rotateSeats(players, scheme) {
+  const seats = ROTATION_SCHEMES[scheme] || ROTATION_SCHEMES.none;
+  players.forEach(p => p.position = seats[p.position]);
+}
+
+function getPairIds(players, team) {
+  return players
+    .filter(p => getPlayerTeam(p.position) === team)
+    .map(p => p.id)
+    .sort();
+}
+
+function findPair(series, playerIds) {
+  return series.pairs.find(pair =>
+    pair.playerIds.length === playerIds.length &&
+    pair.playerIds.every((id, i) => id === playerIds[i])
+  );
+}
+
+// The series only carries on while the same two pairs are playing
+function isCurrentSeries(series, players) {
+  return Boolean(series) &&
+    Boolean(findPair(series, getPairIds(players, 'A'))) &&
+    Boolean(findPair(series, getPairIds(players, 'B')));
+}
+
+// Returns the series with the result counted: a point for a win, half each for
+// a draw. Aborted games don't count.
+function recordSeriesResult(series, players, result) {
+  if (result.reason === 'aborted') return series;
+
+  const next = isCurrentSeries(series, players)
+    ? { games: series.games, pairs: series.pairs.map(pair => ({ ...pair })) }
+    : {
+        games: 0,
+        pairs: ['A', 'B'].map(team => ({ playerIds: getPairIds(players, team), points: 0 }))
+      };
+
+  const pairA = findPair(next, getPairIds(players, 'A'));
+  const pairB = findPair(next, getPairIds(players, 'B'));
+  if (result.winner === 'A') {
+    pairA.points += 1;
+  } else if (result.winner === 'B') {
+    pairB.points += 1;
+  } else {
+    pairA.points += 0.5;
+    pairB.points += 0.5;
+  }
+  next.games += 1;
+  return next;
+}
+
+// Score by the teams' current seats, or null if there is no series going
+function getSeriesScore(series, players) {
+  if (!isCurrentSeries(series, players)) return null;
+  return {
+    games: series.games,
+    A: findPair(series, getPairIds(players, 'A')).points,
+    B: findPair(series, getPairIds(players, 'B')).points
+  };
+}
+
+module.exports = {
+  ROTATION_SCHEMES,
+  DEFAULT_ROTATION,
+  isValidRotation,
+  rotateSeats,
+  recordSeriesResult,
+  getSeriesScore
+};
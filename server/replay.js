@@ -0,0 +1,128 @@
+// Replays a finished match move by move for the replay viewer
+// Every frame holds both boards, all four banks and the four clocks after a
+// move (frame 0 is the starting position), so the client can jump anywhere
+// without a chess engine of its own.
+const { DEFAULT_RULES, createGameState, parseSan, makeMove, dropPiece, getBankPieceType, updateGameStatus } = require('../shared/chess');
+const { getSeat, getTeammate, getOpponent, getPlayerColor } = require('../shared/seating');
+const { importRoomBfen } = require('./bfen');
+const { DEFAULT_TIME_CONTROL } = require('./clock');
+
+function createFrame(boards, pieceBanks, clocks, lastMoves, time, move) {
+  return {
+    boards: boards.map((gameState, boardIndex) => ({
+      board: gameState.board,
+      turn: gameState.turn,
+      isCheck: gameState.isCheck,
+      isCheckmate: gameState.isCheckmate,
+      isWaiting: gameState.isWaiting,
+      lastMove: lastMoves[boardIndex]
+    })),
+    pieceBanks: { 0: [...pieceBanks[0]], 1: [...pieceBanks[1]], 2: [...pieceBanks[2]], 3: [...pieceBanks[3]] },
+    clocks: { ...clocks },
+    time,
+    move
+  };
+}
+
+// moveLog entries need boardIndex, color and notation; `clock` (mover's time
+// left in ms) and `timestamp` (ms since the start) are used when present.
+// Without timestamps the time of a move is worked out from the clocks.
+function replayMatch({ moveLog, startPosition, timeControl, rules }) {
+  timeControl = timeControl || DEFAULT_TIME_CONTROL;
+  const engineRules = { ...DEFAULT_RULES, ...rules };
+
+  let boards = [createGameState(), createGameState()];
+  let pieceBanks = { 0: [], 1: [], 2: [], 3: [] };
+  if (startPosition) {
+    const imported = importRoomBfen(startPosition);
+    if (!imported.success) return imported;
+    boards = imported.boards;
+    pieceBanks = imported.pieceBanks;
+  }
+
+  const base = Math.round(timeControl.minutes * 60 * 1000);
+  const clocks = { 0: base, 1: base, 2: base, 3: base };
+  const boardTime = [0, 0]; // Time played on each board, from the clocks
+  const lastMoves = [null, null];
+  let time = 0;
+  let hasTimes = true;
+
+  const frames = [createFrame(boards, pieceBanks, clocks, lastMoves, 0, null)];
+
+  for (let index = 0; index < moveLog.length; index++) {
+    const entry = moveLog[index];
+    const { boardIndex, color, notation } = entry;
+    const fail = (error) => ({ success: false, error: `Move ${index + 1} (${notation}): ${error}` });
+
+    const position = getSeat(boardIndex, color);
+    if (position === undefined) return fail('unknown board or colour');
+
+    const opponent = getOpponent(position);
+    const gameState = boards[boardIndex];
+    if (gameState.turn !== color) return fail('not this side\'s turn');
+
+    const parsed = parseSan(gameState, notation);
+    if (!parsed.success) return fail(parsed.error);
+
+    const { move } = parsed;
+    const options = { bank: pieceBanks[opponent], rules: engineRules };
+    let result;
+    if (move.drop) {
+      const bank = pieceBanks[position];
+      const pieceIndex = bank.findIndex(p => p.type === move.pieceType);
+      if (pieceIndex === -1) return fail('piece not in bank');
+      result = dropPiece(gameState, move.pieceType, move.row, move.col, color, options);
+      if (result.success) bank.splice(pieceIndex, 1);
+      lastMoves[boardIndex] = { to: { row: move.row, col: move.col } };
+    } else {
+      result = makeMove(gameState, move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion, options);
+      lastMoves[boardIndex] = { from: { row: move.fromRow, col: move.fromCol }, to: { row: move.toRow, col: move.toCol } };
+    }
+    if (!result.success) return fail(result.error);
+
+    boards[boardIndex] = result.gameState;
+
+    if (result.capturedPiece) {
+      const teammate = getTeammate(position);
+      pieceBanks[teammate].push({
+        type: getBankPieceType(result.capturedPiece),
+        color: getPlayerColor(teammate)
+      });
+
+      // The teammate may have been waiting for exactly this piece
+      const teammateBoard = boards[1 - boardIndex];
+      if (teammateBoard.isWaiting) {
+        const refreshed = { ...teammateBoard };
+        updateGameStatus(refreshed, { bank: pieceBanks[teammate], rules: engineRules });
+        boards[1 - boardIndex] = refreshed;
+      }
+    }
+
+    if (entry.clock !== undefined) {
+      boardTime[boardIndex] += Math.max(0, clocks[position] + timeControl.increment * 1000 - entry.clock);
+      clocks[position] = entry.clock;
+    }
+
+    if (entry.timestamp !== undefined) {
+      time = Math.max(time, entry.timestamp);
+    } else if (entry.clock !== undefined) {
+      time = Math.max(time, boardTime[boardIndex]);
+    } else {
+      hasTimes = false;
+    }
+
+    frames.push(createFrame(boards, pieceBanks, clocks, lastMoves, time, {
+      index,
+      boardIndex,
+      position,
+      color,
+      notation: result.gameState.moveHistory[result.gameState.moveHistory.length - 1].san
+    }));
+  }
+
+  return { success: true, frames, hasTimes };
+}
+
+module.exports = {
+  replayMatch
+};
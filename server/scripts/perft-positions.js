@@ -0,0 +1,32 @@
+// Perft test positions with their known leaf counts per depth
+// (https://www.chessprogramming.org/Perft_Results), shared by the benchmark
+// script and the engine tests
+const POSITIONS = [
+  {
+    name: 'Initial position',
+    fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+    nodes: [20, 400, 8902, 197281]
+  },
+  {
+    name: 'Kiwipete',
+    fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    nodes: [48, 2039, 97862]
+  },
+  {
+    name: 'Position 3 (en passant and pins)',
+    fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    nodes: [14, 191, 2812, 43238]
+  },
+  {
+    name: 'Position 4 (promotions and castling)',
+    fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    nodes: [6, 264, 9467]
+  },
+  {
+    name: 'Position 5',
+    fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    nodes: [44, 1486, 62379]
+  }
+];
+
+module.exports = { POSITIONS };
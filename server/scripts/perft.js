@@ -0,0 +1,70 @@
+// Perft benchmark for the chess engine
+// Usage: node scripts/perft.js [maxDepth] [enginePath]
+//
+// Counts leaf nodes of the move tree for well-known test positions and
+// reports the speed. "api" walks the tree through the exported
+// getLegalMoves/makeMove functions (what the server uses per move); "core"
+// uses the engine's own make/unmake perft when the engine provides one.
+// Pass the path of another chess.js build to compare engines.
+const path = require('path');
+const { parseBfen } = require('../bfen');
+const { POSITIONS } = require('./perft-positions');
+
+const PROMOTIONS = ['q', 'r', 'b', 'n'];
+
+// Perft through the public API only, so it works with any engine version
+function apiPerft(engine, gameState, depth) {
+  if (depth === 0) return 1;
+
+  let nodes = 0;
+  const { board, turn } = gameState;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const piece = board[row][col];
+      if (!piece || piece.color !== turn) continue;
+
+      for (const move of engine.getLegalMoves(gameState, row, col)) {
+        const isPromotion = piece.type === 'p' && (move.toRow === 0 || move.toRow === 7);
+        for (const promotion of isPromotion ? PROMOTIONS : [null]) {
+          if (depth === 1) {
+            nodes++;
+            continue;
+          }
+          const result = engine.makeMove(gameState, row, col, move.toRow, move.toCol, promotion);
+          nodes += apiPerft(engine, result.gameState, depth - 1);
+        }
+      }
+    }
+  }
+  return nodes;
+}
+
+function run(label, fn, expected) {
+  const start = process.hrtime.bigint();
+  const nodes = fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  const nps = Math.round(nodes / (ms / 1000));
+  const status = nodes === expected ? 'ok' : `MISMATCH (expected ${expected})`;
+  if (nodes !== expected) process.exitCode = 1;
+  console.log(`  ${label.padEnd(5)} ${String(nodes).padStart(8)} nodes ${ms.toFixed(0).padStart(7)} ms ${String(nps).padStart(9)} nodes/s  ${status}`);
+}
+
+function main() {
+  const maxDepth = Number(process.argv[2]) || 3;
+  const enginePath = process.argv[3] ? path.resolve(process.argv[3]) : path.join(__dirname, '../../shared/chess');
+  const engine = require(enginePath);
+
+  for (const position of POSITIONS) {
+    const { gameState } = parseBfen(position.fen);
+    const depth = Math.min(maxDepth, position.nodes.length);
+    const expected = position.nodes[depth - 1];
+
+    console.log(`${position.name} (depth ${depth})`);
+    run('api', () => apiPerft(engine, gameState, depth), expected);
+    if (typeof engine.perft === 'function') {
+      run('core', () => engine.perft(gameState, depth), expected);
+    }
+  }
+}
+
+main();
@@ -0,0 +1,87 @@
+// Seat assignment in the waiting room
+// Seats are positions 0-3 (see the team layout in index.js). A player keeps
+// their seat until they move or leave, so nobody is shifted when someone else
+// goes. Players take a free seat, swap seats when both ask for it, or are
+// moved by the host. Every change clears the ready flag of the players who
+// moved, so a game never starts with someone in a seat they didn't confirm.
+const SEATS = [0, 1, 2, 3];
+
+function isValidSeat(position) {
+  return SEATS.includes(position);
+}
+
+function getFreeSeats(players) {
+  return SEATS.filter(position => !players.some(p => p.position === position));
+}
+
+function findFreeSeat(players) {
+  const [position] = getFreeSeats(players);
+  return position === undefined ? null : position;
+}
+
+// Drops swap requests made by or to the given players
+function clearSwapRequests(players, movedPlayers) {
+  const movedIds = movedPlayers.map(p => p.id);
+  players.forEach(p => {
+    if (movedIds.includes(p.id) || movedIds.includes(p.swapRequest)) {
+      p.swapRequest = null;
+    }
+  });
+}
+
+// Puts player in a seat, swapping with whoever sits there
+function changeSeat(players, player, position) {
+  if (!isValidSeat(position)) return { success: false, error: 'Invalid seat' };
+  if (player.position === position) return { success: true };
+
+  const occupant = players.find(p => p.position === position);
+  const moved = occupant ? [player, occupant] : [player];
+  if (occupant) occupant.position = player.position;
+  player.position = position;
+
+  moved.forEach(p => p.ready = false);
+  clearSwapRequests(players, moved);
+  return { success: true };
+}
+
+function takeSeat(players, player, position) {
+  if (!isValidSeat(position)) return { success: false, error: 'Invalid seat' };
+  if (players.some(p => p.position === position)) return { success: false, error: 'That seat is taken' };
+  return changeSeat(players, player, position);
+}
+
+// Asks the player in a seat to swap; if they already asked us, the swap happens
+function requestSwap(players, player, position) {
+  const occupant = players.find(p => p.position === position);
+  if (!occupant) return { success: false, error: 'That seat is empty' };
+  if (occupant === player) return { success: false, error: 'You are already in that seat' };
+
+  if (occupant.swapRequest === player.id) {
+    changeSeat(players, player, position);
+    return { success: true, swapped: true };
+  }
+
+  player.swapRequest = occupant.id;
+  return { success: true, swapped: false };
+}
+
+// Withdraws our request to the player in a seat, or turns down theirs
+function declineSwap(players, player, position) {
+  const occupant = players.find(p => p.position === position);
+  if (!occupant) return { success: false, error: 'That seat is empty' };
+
+  if (player.swapRequest === occupant.id) player.swapRequest = null;
+  if (occupant.swapRequest === player.id) occupant.swapRequest = null;
+  return { success: true };
+}
+
+module.exports = {
+  isValidSeat,
+  getFreeSeats,
+  findFreeSeat,
+  clearSwapRequests,
+  changeSeat,
+  takeSeat,
+  requestSwap,
+  declineSwap
+};
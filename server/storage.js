@@ -0,0 +1,182 @@
+// Room persistence and the finished-game archive
+// A storage keeps one snapshot per room (players, boards, banks, clocks, move
+// log and chat) so that rooms survive a server restart, and a record of every
+// finished match. Every storage has the same interface:
+//   loadRooms()        -> Promise<snapshot[]>
+//   saveRoom(snapshot) -> Promise  (replaces the room's previous snapshot)
+//   deleteRoom(roomId) -> Promise
+//   saveGame(game)     -> Promise
+//   listGames({ player, offset, limit }) -> Promise<{ games, total }>
+//   getGame(gameId)    -> Promise<game | null>
+//   flush()            -> Promise  (resolves once pending writes are done)
+// Snapshots and games are plain JSON-compatible objects. listGames returns
+// summaries (no move log), newest first, optionally only games in which a
+// player name contains `player`. Games saved with `listed: false` are left
+// out of listings but can still be fetched by id.
+const fs = require('fs');
+const path = require('path');
+
+function copySnapshot(snapshot) {
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+function summarizeGame(game) {
+  const { moveLog, ...summary } = game;
+  return { ...summary, moveCount: moveLog.length };
+}
+
+// Newest first, filtered by a case-insensitive player name fragment
+function queryGames(summaries, { player, offset = 0, limit = 20 } = {}) {
+  const needle = player ? player.toLowerCase() : null;
+  const matches = summaries
+    .filter(game => game.listed !== false)
+    .filter(game => !needle || game.players.some(p => p.name.toLowerCase().includes(needle)))
+    .sort((a, b) => b.endedAt - a.endedAt);
+  return { games: matches.slice(offset, offset + limit), total: matches.length };
+}
+
+// Keeps snapshots for the lifetime of the process only
+function createMemoryStorage() {
+  const snapshots = new Map();
+  const games = new Map();
+
+  return {
+    loadRooms: async () => [...snapshots.values()].map(copySnapshot),
+    saveRoom: async (snapshot) => {
+      snapshots.set(snapshot.id, copySnapshot(snapshot));
+    },
+    deleteRoom: async (roomId) => {
+      snapshots.delete(roomId);
+    },
+    saveGame: async (game) => {
+      games.set(game.id, copySnapshot(game));
+    },
+    listGames: async (query) => queryGames([...games.values()].map(summarizeGame), query),
+    getGame: async (gameId) => games.has(gameId) ? copySnapshot(games.get(gameId)) : null,
+    flush: async () => {}
+  };
+}
+
+// One JSON file per room. Saves of the same room are coalesced: while a write
+// is in flight only the newest pending snapshot is kept, and files are
+// replaced atomically so a crash never leaves half a room on disk. Finished
+// games go to a `games` subdirectory, one file each; their summaries are
+// indexed in memory the first time the archive is listed.
+function createFileStorage(directory) {
+  const pending = new Map(); // roomId -> snapshot (or null for a delete) waiting to be written
+  const writing = new Map(); // roomId -> promise of the write in flight
+  const gamesDirectory = path.join(directory, 'games');
+  let gameIndex = null; // Promise of the archived games' summaries, loaded lazily
+
+  const roomFile = (roomId) => path.join(directory, `${roomId}.json`);
+  const gameFile = (gameId) => path.join(gamesDirectory, `${gameId}.json`);
+
+  function loadGameIndex() {
+    if (!gameIndex) gameIndex = readGameIndex();
+    return gameIndex;
+  }
+
+  async function readGameIndex() {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(gamesDirectory);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const summaries = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        summaries.push(summarizeGame(JSON.parse(await fs.promises.readFile(path.join(gamesDirectory, file), 'utf8'))));
+      } catch (err) {
+        console.error(`Skipping unreadable game file ${file}:`, err.message);
+      }
+    }
+    return summaries;
+  }
+
+  async function write(roomId, snapshot) {
+    if (snapshot === null) {
+      await fs.promises.rm(roomFile(roomId), { force: true });
+      return;
+    }
+    const tempFile = `${roomFile(roomId)}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(snapshot));
+    await fs.promises.rename(tempFile, roomFile(roomId));
+  }
+
+  function schedule(roomId, snapshot) {
+    pending.set(roomId, snapshot);
+    if (writing.has(roomId)) return writing.get(roomId);
+
+    const run = (async () => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      while (pending.has(roomId)) {
+        const next = pending.get(roomId);
+        pending.delete(roomId);
+        await write(roomId, next);
+      }
+    })().finally(() => writing.delete(roomId));
+
+    writing.set(roomId, run);
+    return run;
+  }
+
+  return {
+    loadRooms: async () => {
+      let files;
+      try {
+        files = await fs.promises.readdir(directory);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+
+      const snapshots = [];
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+          snapshots.push(JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8')));
+        } catch (err) {
+          console.error(`Skipping unreadable room file ${file}:`, err.message);
+        }
+      }
+      return snapshots;
+    },
+    saveRoom: (snapshot) => schedule(snapshot.id, copySnapshot(snapshot)),
+    deleteRoom: (roomId) => schedule(roomId, null),
+    saveGame: async (game) => {
+      const index = await loadGameIndex();
+      await fs.promises.mkdir(gamesDirectory, { recursive: true });
+      await fs.promises.writeFile(gameFile(game.id), JSON.stringify(game));
+      index.push(summarizeGame(copySnapshot(game)));
+    },
+    listGames: async (query) => queryGames(await loadGameIndex(), query),
+    getGame: async (gameId) => {
+      try {
+        return JSON.parse(await fs.promises.readFile(gameFile(gameId), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    flush: async () => {
+      while (writing.size > 0) {
+        await Promise.allSettled([...writing.values()]);
+      }
+    }
+  };
+}
+
+// STORAGE=file keeps rooms in STORAGE_DIR; anything else keeps them in memory
+function createStorage(env = process.env) {
+  if (env.STORAGE === 'file') {
+    return createFileStorage(env.STORAGE_DIR || path.join(__dirname, 'data'));
+  }
+  return createMemoryStorage();
+}
+
+module.exports = {
+  createMemoryStorage,
+  createFileStorage,
+  createStorage
+};
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { IDLE_STATUS, isActivity, noteActivity, isRoomProtected, getIdleStatus, getClosingTime } = require('../activity');
+
+const LIMITS = { timeout: 30 * 60 * 1000, warning: 5 * 60 * 1000 };
+const MINUTE = 60 * 1000;
+
+const idleRoom = (overrides = {}) => ({
+  state: 'waiting',
+  lastActivity: 0,
+  idleWarned: false,
+  players: [{ id: 'ann', connected: false, lastActivity: 0 }],
+  ...overrides
+});
+
+test('getIdleStatus warns before the timeout and expires after it', () => {
+  const room = idleRoom();
+  assert.strictEqual(getIdleStatus(room, LIMITS, 24 * MINUTE), IDLE_STATUS.ACTIVE);
+  assert.strictEqual(getIdleStatus(room, LIMITS, 25 * MINUTE), IDLE_STATUS.WARNING);
+  assert.strictEqual(getIdleStatus(room, LIMITS, 30 * MINUTE), IDLE_STATUS.EXPIRED);
+  assert.strictEqual(getClosingTime(room, LIMITS), 30 * MINUTE);
+});
+
+test('connected but inactive members are warned, but their room stays open', () => {
+  const room = idleRoom({
+    players: ['ann', 'bob', 'cat', 'dan'].map(id => ({ id, connected: true, lastActivity: 0 }))
+  });
+  assert.strictEqual(isRoomProtected(room), true);
+  assert.strictEqual(getIdleStatus(room, LIMITS, 25 * MINUTE), IDLE_STATUS.WARNING);
+  assert.strictEqual(getIdleStatus(room, LIMITS, 10 * 60 * MINUTE), IDLE_STATUS.WARNING);
+
+  // Once the last of them is gone the room closes
+  room.players.forEach(p => { p.connected = false; });
+  assert.strictEqual(getIdleStatus(room, LIMITS, 30 * MINUTE), IDLE_STATUS.EXPIRED);
+});
+
+test('a match under way never goes idle, paused or not', () => {
+  ['countdown', 'playing', 'paused'].forEach(state => {
+    assert.strictEqual(isRoomProtected(idleRoom({ state })), true, state);
+    assert.strictEqual(getIdleStatus(idleRoom({ state }), LIMITS, 10 * 60 * MINUTE), IDLE_STATUS.ACTIVE, state);
+  });
+  assert.strictEqual(getIdleStatus(idleRoom({ state: 'finished' }), LIMITS, 30 * MINUTE), IDLE_STATUS.EXPIRED);
+});
+
+test('isActivity ignores state resyncs', () => {
+  ['makeMove', 'chatMessage', 'takeSeat', 'toggleReady'].forEach(event => {
+    assert.strictEqual(isActivity(event), true, event);
+  });
+  assert.strictEqual(isActivity('resyncGameState'), false);
+});
+
+test('noteActivity restarts the idle time of the room and the player', () => {
+  const room = idleRoom({ idleWarned: true });
+  noteActivity(room, 'ann', 26 * MINUTE);
+  assert.strictEqual(room.lastActivity, 26 * MINUTE);
+  assert.strictEqual(room.idleWarned, false);
+  assert.strictEqual(room.players[0].lastActivity, 26 * MINUTE);
+  assert.strictEqual(getIdleStatus(room, LIMITS, 30 * MINUTE), IDLE_STATUS.ACTIVE);
+
+  // Spectators keep the room alive too
+  noteActivity(room, 'spectator', 40 * MINUTE);
+  assert.strictEqual(room.lastActivity, 40 * MINUTE);
+  assert.strictEqual(room.players[0].lastActivity, 26 * MINUTE);
+});
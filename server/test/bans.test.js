@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { addBan, isBanned, removeBan } = require('../bans');
+
+function kickedRoom() {
+  const room = { bans: [] };
+  addBan(room, { id: 'p1', name: 'Mallory', sessionToken: 'token-1', socketId: 'socket-1' });
+  return room;
+}
+
+test('a kick with a ban records the name, session and socket', () => {
+  assert.deepStrictEqual(kickedRoom().bans, [{ name: 'Mallory', sessionToken: 'token-1', socketId: 'socket-1' }]);
+
+  const room = { bans: [] };
+  addBan(room, { id: 's1', name: 'Eve', socketId: 'socket-2' });
+  assert.deepStrictEqual(room.bans, [{ name: 'Eve', sessionToken: null, socketId: 'socket-2' }]);
+});
+
+test('rejoining under the same name is refused, whatever the case', () => {
+  const room = kickedRoom();
+  assert.strictEqual(isBanned(room, { name: 'Mallory', socketId: 'socket-9' }), true);
+  assert.strictEqual(isBanned(room, { name: 'mALLORY', socketId: 'socket-9' }), true);
+  assert.strictEqual(isBanned(room, { name: 'Alice', socketId: 'socket-9' }), false);
+});
+
+test('rejoining under a new name is refused from the same connection or session', () => {
+  const room = kickedRoom();
+  assert.strictEqual(isBanned(room, { name: 'Trudy', socketId: 'socket-1' }), true);
+  assert.strictEqual(isBanned(room, { name: 'Trudy', sessionToken: 'token-1', socketId: 'socket-9' }), true);
+});
+
+test('resuming the kicked session is refused', () => {
+  const room = kickedRoom();
+  assert.strictEqual(isBanned(room, { sessionToken: 'token-1', socketId: 'socket-9' }), true);
+  assert.strictEqual(isBanned(room, { sessionToken: 'token-2', socketId: 'socket-9' }), false);
+});
+
+test('a kick without a session ban never matches missing tokens', () => {
+  const room = { bans: [] };
+  addBan(room, { name: 'Eve' });
+  assert.strictEqual(isBanned(room, { name: 'Bob' }), false);
+  assert.strictEqual(isBanned(room, { name: 'Bob', sessionToken: null, socketId: undefined }), false);
+});
+
+test('unbanning by name lifts the session and socket ban too', () => {
+  const room = kickedRoom();
+  removeBan(room, 'Mallory');
+  assert.strictEqual(isBanned(room, { name: 'Trudy', sessionToken: 'token-1', socketId: 'socket-1' }), false);
+});
+
+test('unbanning matches names case-insensitively, like the ban itself', () => {
+  const room = kickedRoom();
+  addBan(room, { name: 'mallory', sessionToken: 'token-2', socketId: 'socket-2' });
+  removeBan(room, 'MALLORY');
+  assert.deepStrictEqual(room.bans, []);
+  assert.strictEqual(isBanned(room, { name: 'Mallory', sessionToken: 'token-2' }), false);
+});
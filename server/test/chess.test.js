@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const chess = require('../../shared/chess');
+const { position, sq, play, move } = require('./helpers');
+
+const { createGameState, getLegalMoves, COLORS } = chess;
+
+test('makeMove plays a legal move and switches turn', () => {
+  const result = move(createGameState(), 'e2', 'e4');
+  assert.ok(result.success);
+  assert.strictEqual(result.gameState.turn, COLORS.BLACK);
+  assert.deepStrictEqual(result.gameState.board[4][4], { type: 'p', color: 'w' });
+  assert.strictEqual(result.gameState.board[6][4], null);
+  assert.deepStrictEqual(result.gameState.enPassantTarget, sq('e3'));
+  assert.strictEqual(result.gameState.moveHistory[0].san, 'e4');
+});
+
+test('makeMove does not modify the original game state', () => {
+  const gameState = createGameState();
+  const before = JSON.stringify(gameState);
+  move(gameState, 'g1', 'f3');
+  assert.strictEqual(JSON.stringify(gameState), before);
+});
+
+test('makeMove rejects illegal moves, wrong turn and empty squares', () => {
+  const gameState = createGameState();
+  assert.strictEqual(move(gameState, 'e2', 'e5').error, 'Illegal move');
+  assert.strictEqual(move(gameState, 'e7', 'e5').error, 'Invalid piece or not your turn');
+  assert.strictEqual(move(gameState, 'e4', 'e5').error, 'Invalid piece or not your turn');
+});
+
+test('makeMove reports captured pieces', () => {
+  const gameState = play(createGameState(), ['e4', 'd5']);
+  const result = move(gameState, 'e4', 'd5');
+  assert.deepStrictEqual(result.capturedPiece, { type: 'p', color: 'b' });
+  assert.strictEqual(result.gameState.moveHistory[2].san, 'exd5');
+});
+
+test('pinned pieces cannot leave the pin line', () => {
+  const { gameState } = position('4r1k1/8/8/8/8/8/4B3/4K3 w - - 0 1');
+  assert.deepStrictEqual(getLegalMoves(gameState, 6, 4), []);
+});
+
+test('the king cannot move into check', () => {
+  const { gameState } = position('6k1/8/8/8/8/8/3r4/4K3 w - - 0 1');
+  const targets = getLegalMoves(gameState, 7, 4).map(m => `${m.toRow},${m.toCol}`);
+  assert.deepStrictEqual(targets.sort(), ['6,3', '7,5']);
+});
+
+test('castling on both sides moves the rook', () => {
+  const { gameState } = position('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+
+  const kingSide = move(gameState, 'e1', 'g1').gameState;
+  assert.deepStrictEqual(kingSide.board[7][5], { type: 'r', color: 'w' });
+  assert.strictEqual(kingSide.board[7][7], null);
+  assert.strictEqual(kingSide.moveHistory[0].san, 'O-O');
+
+  const queenSide = move(gameState, 'e1', 'c1').gameState;
+  assert.deepStrictEqual(queenSide.board[7][3], { type: 'r', color: 'w' });
+  assert.strictEqual(queenSide.board[7][0], null);
+  assert.strictEqual(queenSide.moveHistory[0].san, 'O-O-O');
+});
+
+test('castling is not allowed out of, through or into check', () => {
+  const castles = (bfen) => getLegalMoves(position(bfen).gameState, 7, 4).filter(m => m.castling).map(m => m.castling);
+
+  assert.deepStrictEqual(castles('4k3/8/8/8/8/8/8/R3K2R w KQ - 0 1').sort(), ['kingSide', 'queenSide']);
+  assert.deepStrictEqual(castles('4k3/8/8/8/8/8/4r3/R3K2R w KQ - 0 1'), []);
+  assert.deepStrictEqual(castles('4k3/8/8/8/8/8/5r2/R3K2R w KQ - 0 1'), ['queenSide']);
+  assert.deepStrictEqual(castles('4k3/8/8/8/8/8/6r1/R3K2R w KQ - 0 1'), ['queenSide']);
+  // b1 may be attacked, only the king's path matters
+  assert.deepStrictEqual(castles('4k3/8/8/8/8/8/1r6/R3K2R w KQ - 0 1'), ['kingSide', 'queenSide']);
+  // ...but it must be empty
+  assert.deepStrictEqual(castles('4k3/8/8/8/8/8/8/RN2K2R w KQ - 0 1'), ['kingSide']);
+});
+
+test('castling rights are lost when the king or a rook moves or a rook is captured', () => {
+  const { gameState } = position('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+
+  const kingMoved = move(gameState, 'e1', 'e2').gameState;
+  assert.deepStrictEqual(kingMoved.castlingRights.w, { kingSide: false, queenSide: false });
+  assert.deepStrictEqual(kingMoved.castlingRights.b, { kingSide: true, queenSide: true });
+
+  const rookMoved = move(gameState, 'h1', 'h5').gameState;
+  assert.deepStrictEqual(rookMoved.castlingRights.w, { kingSide: false, queenSide: true });
+
+  const rookCaptured = move(gameState, 'a1', 'a8').gameState;
+  assert.deepStrictEqual(rookCaptured.castlingRights.w, { kingSide: true, queenSide: false });
+  assert.deepStrictEqual(rookCaptured.castlingRights.b, { kingSide: true, queenSide: false });
+});
+
+test('en passant is available for one move only', () => {
+  const gameState = play(createGameState(), ['e4', 'a6', 'e5', 'd5']);
+  const capture = getLegalMoves(gameState, 3, 4).find(m => m.enPassant);
+  assert.deepStrictEqual({ row: capture.toRow, col: capture.toCol }, sq('d6'));
+
+  const result = move(gameState, 'e5', 'd6');
+  assert.deepStrictEqual(result.capturedPiece, { type: 'p', color: 'b' });
+  assert.strictEqual(result.gameState.board[3][3], null);
+  assert.strictEqual(result.gameState.moveHistory[4].san, 'exd6');
+
+  const later = play(gameState, ['Nf3', 'Nf6']);
+  assert.ok(!getLegalMoves(later, 3, 4).some(m => m.enPassant));
+});
+
+test('en passant is illegal when it exposes the king', () => {
+  const { gameState } = position('8/8/8/K2pP2r/8/8/8/7k w - d6 0 1');
+  assert.ok(!getLegalMoves(gameState, 3, 4).some(m => m.enPassant));
+});
+
+test('promotion defaults to a queen and marks the piece as promoted', () => {
+  const { gameState } = position('1r2k3/P7/8/8/8/8/8/4K3 w - - 0 1');
+
+  const queen = move(gameState, 'a7', 'a8').gameState;
+  assert.deepStrictEqual(queen.board[0][0], { type: 'q', color: 'w', promoted: true });
+
+  const knight = move(gameState, 'a7', 'b8', 'n').gameState;
+  assert.deepStrictEqual(knight.board[0][1], { type: 'n', color: 'w', promoted: true });
+  assert.strictEqual(knight.moveHistory[0].san, 'axb8=N');
+
+  assert.strictEqual(move(gameState, 'a7', 'a8', 'k').error, 'Invalid promotion piece');
+});
+
+test('promoted pieces keep their flag when they move and return to the bank as pawns', () => {
+  const { gameState } = position('4k3/P7/8/8/8/8/8/4K3 w - - 0 1');
+  const moved = play(gameState, ['a8=Q', 'Kd7', 'Qa4+']);
+  assert.deepStrictEqual(moved.board[4][0], { type: 'q', color: 'w', promoted: true });
+  assert.strictEqual(chess.getBankPieceType(moved.board[4][0]), 'p');
+  assert.strictEqual(chess.getBankPieceType({ type: 'q', color: 'w' }), 'q');
+});
+
+test('check, checkmate and the winner are detected', () => {
+  const mated = play(createGameState(), ['f3', 'e5', 'g4', 'Qh4#']);
+  assert.ok(mated.isCheck);
+  assert.ok(mated.isCheckmate);
+  assert.strictEqual(mated.winner, COLORS.BLACK);
+  assert.strictEqual(mated.moveHistory[3].san, 'Qh4#');
+
+  const checked = play(createGameState(), ['e4', 'f5', 'Qh5+']);
+  assert.ok(checked.isCheck);
+  assert.ok(!checked.isCheckmate);
+});
+
+test('a side without moves is stalemated by default and waits when the rule is on', () => {
+  const { gameState } = position('7k/5Q2/8/8/8/8/8/6K1 w - - 0 1');
+
+  const stalemate = move(gameState, 'f7', 'g6').gameState;
+  assert.ok(stalemate.isStalemate);
+  assert.ok(!stalemate.isWaiting);
+
+  const waiting = move(gameState, 'f7', 'g6', null, { rules: { waitOnStalemate: true } }).gameState;
+  assert.ok(waiting.isWaiting);
+  assert.ok(!waiting.isStalemate);
+});
+
+test('isInCheck looks at the given colour only', () => {
+  const { gameState } = position('4k3/8/8/8/8/8/8/R3K3 b - - 0 1');
+  assert.ok(!chess.isInCheck(gameState.board, COLORS.BLACK));
+  const checked = move(position('4k3/8/8/8/8/8/8/R3K3 w - - 0 1').gameState, 'a1', 'a8').gameState;
+  assert.ok(chess.isInCheck(checked.board, COLORS.BLACK));
+  assert.ok(!chess.isInCheck(checked.board, COLORS.WHITE));
+});
+
+test('SAN disambiguates by file, then rank, then square', () => {
+  assert.strictEqual(play(position('4k3/8/8/8/8/8/4K3/R6R w - - 0 1').gameState, ['Rad1']).moveHistory[0].san, 'Rad1');
+  assert.strictEqual(play(position('4k3/8/8/8/8/8/8/R4RK1 w - - 0 1').gameState, ['Rad1']).moveHistory[0].san, 'Rad1');
+  assert.strictEqual(play(position('R7/8/7k/8/8/8/8/R3K3 w - - 0 1').gameState, ['R1a5']).moveHistory[0].san, 'R1a5');
+  assert.strictEqual(
+    play(position('8/7k/8/8/Q2Q4/8/8/Q3K3 w - - 0 1').gameState, ['Qa4d1']).moveHistory[0].san,
+    'Qa4d1'
+  );
+});
+
+test('parseSan accepts SAN, castling with zeros, coordinates and drops', () => {
+  const gameState = createGameState();
+  assert.deepStrictEqual(chess.parseSan(gameState, 'Nf3').move, { ...sq2('g1', 'f3'), promotion: null });
+  assert.deepStrictEqual(chess.parseSan(gameState, 'e2e4').move, { ...sq2('e2', 'e4'), promotion: null });
+  assert.deepStrictEqual(chess.parseSan(gameState, 'N@f3').move, { drop: true, pieceType: 'n', ...sq('f3') });
+  assert.deepStrictEqual(chess.parseSan(gameState, '@e4').move, { drop: true, pieceType: 'p', ...sq('e4') });
+
+  const castle = play(position('4k3/8/8/8/8/8/8/R3K2R w KQ - 0 1').gameState, ['0-0']);
+  assert.strictEqual(castle.moveHistory[0].san, 'O-O');
+
+  assert.match(chess.parseSan(gameState, 'Nf4').error, /^Illegal move/);
+  assert.match(chess.parseSan(gameState, 'hello').error, /^Unrecognised move/);
+  assert.match(chess.parseSan(position('4k3/8/8/8/8/8/8/R4RK1 w - - 0 1').gameState, 'Rd1').error, /^Ambiguous move/);
+});
+
+function sq2(from, to) {
+  const a = sq(from);
+  const b = sq(to);
+  return { fromRow: a.row, fromCol: a.col, toRow: b.row, toCol: b.col };
+}
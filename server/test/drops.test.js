@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const chess = require('../../shared/chess');
+const { position, sq, move, drop } = require('./helpers');
+
+const { COLORS, getValidDropSquares } = chess;
+
+// Bughouse drop edge cases. `bank` is the bank of the side that replies to
+// the drop (used by the drop-mate rules); `error` is the expected dropPiece
+// error, or absent when the drop is legal.
+const DROP_CASES = [
+  { name: 'drop on an empty square', bfen: '4k3/8/8/8/8/8/8/4K3 w - - 0 1', piece: 'n', to: 'f3' },
+  { name: 'drop on an occupied square', bfen: '4k3/8/8/8/8/8/8/4K3 w - - 0 1', piece: 'n', to: 'e1', error: 'Cannot drop piece there' },
+  { name: 'pawn drop on the first rank', bfen: '4k3/8/8/8/8/8/8/4K3 w - - 0 1', piece: 'p', to: 'a1', error: 'Cannot drop piece there' },
+  { name: 'pawn drop on the last rank', bfen: '4k3/8/8/8/8/8/8/4K3 w - - 0 1', piece: 'p', to: 'a8', error: 'Cannot drop piece there' },
+  { name: 'pawn drop on the 7th rank', bfen: '4k3/8/8/8/8/8/8/4K3 w - - 0 1', piece: 'p', to: 'a7' },
+  {
+    name: 'pawn drop on the 7th rank when disallowed',
+    bfen: '4k3/8/8/8/8/8/8/4K3 w - - 0 1', piece: 'p', to: 'a7',
+    rules: { allowPawnDropsOnSeventh: false }, error: 'Cannot drop piece there'
+  },
+  {
+    name: 'black pawn drop on its 7th rank (rank 2) when disallowed',
+    bfen: '4k3/8/8/8/8/8/8/4K3 b - - 0 1', piece: 'p', to: 'a2',
+    rules: { allowPawnDropsOnSeventh: false }, error: 'Cannot drop piece there'
+  },
+  { name: 'king drop', bfen: '4k3/8/8/8/8/8/8/4K3 w - - 0 1', piece: 'k', to: 'a4', error: 'Cannot drop piece there' },
+  { name: 'drop that blocks a check', bfen: '4k3/8/8/8/8/8/8/r3K3 w - - 0 1', piece: 'b', to: 'c1' },
+  {
+    name: 'drop that leaves the king in check',
+    bfen: '4k3/8/8/8/8/8/8/r3K3 w - - 0 1', piece: 'b', to: 'c3', error: 'Cannot drop piece - would be in check'
+  },
+  { name: 'drop check', bfen: '4k3/8/8/8/8/8/8/4K3 w - - 0 1', piece: 'r', to: 'e4' },
+  {
+    name: 'drop check when drop checks are disallowed',
+    bfen: '4k3/8/8/8/8/8/8/4K3 w - - 0 1', piece: 'r', to: 'e4',
+    rules: { allowDropChecks: false }, error: 'Drops that give check are not allowed'
+  },
+  {
+    name: 'drop mate when drop mates are disallowed',
+    bfen: '7k/6pp/8/8/8/8/8/6K1 w - - 0 1', piece: 'r', to: 'a8',
+    rules: { allowDropCheckmates: false }, error: 'Drops that give checkmate are not allowed'
+  },
+  {
+    name: 'drop check that the opponent can block with a drop when drop mates are disallowed',
+    bfen: '7k/6pp/8/8/8/8/8/6K1 w - - 0 1', piece: 'r', to: 'a8',
+    rules: { allowDropCheckmates: false }, bank: [{ type: 'n', color: COLORS.BLACK }]
+  },
+  {
+    name: 'drop check that only a pawn could block (pawns cannot go on the last rank)',
+    bfen: '7k/6pp/8/8/8/8/8/6K1 w - - 0 1', piece: 'r', to: 'a8',
+    rules: { allowDropCheckmates: false }, bank: [{ type: 'p', color: COLORS.BLACK }],
+    error: 'Drops that give checkmate are not allowed'
+  }
+];
+
+for (const testCase of DROP_CASES) {
+  test(`dropPiece: ${testCase.name}`, () => {
+    const { gameState } = position(testCase.bfen);
+    const result = drop(gameState, testCase.piece, testCase.to, { rules: testCase.rules, bank: testCase.bank });
+    if (testCase.error) {
+      assert.strictEqual(result.error, testCase.error);
+    } else {
+      assert.ok(result.success, result.error);
+      const { row, col } = sq(testCase.to);
+      assert.deepStrictEqual(result.gameState.board[row][col], { type: testCase.piece, color: gameState.turn });
+    }
+  });
+}
+
+test('dropPiece rejects drops out of turn', () => {
+  const { gameState } = position('4k3/8/8/8/8/8/8/4K3 w - - 0 1');
+  const result = chess.dropPiece(gameState, 'n', 4, 4, COLORS.BLACK);
+  assert.strictEqual(result.error, 'Not your turn');
+});
+
+test('dropPiece records SAN, clears en passant and switches turn', () => {
+  const { gameState } = position('4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1');
+  const result = drop(gameState, 'q', 'e7');
+  assert.strictEqual(result.gameState.moveHistory[0].san, 'Q@e7+');
+  assert.strictEqual(result.gameState.enPassantTarget, null);
+  assert.strictEqual(result.gameState.turn, COLORS.BLACK);
+});
+
+test('a drop can deliver checkmate', () => {
+  const { gameState } = position('7k/6pp/8/8/8/8/8/6K1 w - - 0 1');
+  const result = drop(gameState, 'r', 'a8');
+  assert.ok(result.gameState.isCheckmate);
+  assert.strictEqual(result.gameState.winner, COLORS.WHITE);
+  assert.strictEqual(result.gameState.moveHistory[0].san, 'R@a8#');
+});
+
+test('a check that can be blocked by a drop from the bank is not mate', () => {
+  const { gameState } = position('7k/6pp/8/8/8/8/8/R5K1 w - - 0 1');
+
+  assert.ok(move(gameState, 'a1', 'a8').gameState.isCheckmate);
+
+  const withBank = move(gameState, 'a1', 'a8', null, { bank: [{ type: 'b', color: COLORS.BLACK }] }).gameState;
+  assert.ok(withBank.isCheck);
+  assert.ok(!withBank.isCheckmate);
+
+  // Only the mated side's own pieces count
+  const wrongColor = move(gameState, 'a1', 'a8', null, { bank: [{ type: 'b', color: COLORS.WHITE }] }).gameState;
+  assert.ok(wrongColor.isCheckmate);
+});
+
+test('potentialDropsPreventMate turns a blockable mate into waiting', () => {
+  const { gameState } = position('7k/6pp/8/8/8/8/8/R5K1 w - - 0 1');
+  const result = move(gameState, 'a1', 'a8', null, { rules: { potentialDropsPreventMate: true } }).gameState;
+  assert.ok(!result.isCheckmate);
+  assert.ok(result.isWaiting);
+
+  // A contact check by a knight can't be blocked, so it is still mate
+  const { gameState: smothered } = position('6rk/6pp/8/4N3/8/8/8/6K1 w - - 0 1');
+  const mate = move(smothered, 'e5', 'f7', null, { rules: { potentialDropsPreventMate: true } });
+  assert.ok(mate.success, mate.error);
+  assert.ok(mate.gameState.isCheckmate);
+});
+
+test('updateGameStatus re-evaluates a waiting side when its bank changes', () => {
+  const { gameState } = position('7k/5Q2/8/8/8/8/8/6K1 w - - 0 1');
+  const rules = { waitOnStalemate: true };
+  const waiting = move(gameState, 'f7', 'g6', null, { rules }).gameState;
+  assert.ok(waiting.isWaiting);
+
+  chess.updateGameStatus(waiting, { bank: [{ type: 'p', color: COLORS.BLACK }], rules });
+  assert.ok(!waiting.isWaiting);
+  assert.ok(!waiting.isStalemate);
+});
+
+test('a pawn dropped on its 2nd rank may double step unless the rule is off', () => {
+  const { gameState } = position('4k3/8/8/8/8/8/8/4K3 w - - 0 1');
+
+  const allowed = move(drop(gameState, 'p', 'a2').gameState, 'e8', 'd8').gameState;
+  assert.ok(chess.getLegalMoves(allowed, 6, 0).some(m => m.toRow === 4));
+
+  const rules = { allowDroppedPawnDoubleStep: false };
+  const dropped = drop(gameState, 'p', 'a2', { rules }).gameState;
+  assert.strictEqual(dropped.board[6][0].noDoubleStep, true);
+  const blocked = move(dropped, 'e8', 'd8').gameState;
+  assert.deepStrictEqual(chess.getLegalMoves(blocked, 6, 0), [{ toRow: 5, toCol: 0 }]);
+});
+
+test('getValidDropSquares lists empty squares that keep the king safe', () => {
+  const { gameState } = position('4k3/8/8/8/8/8/8/4K3 w - - 0 1');
+  assert.strictEqual(getValidDropSquares(gameState.board, 'n', COLORS.WHITE).length, 62);
+  assert.strictEqual(getValidDropSquares(gameState.board, 'p', COLORS.WHITE).length, 48);
+  assert.strictEqual(
+    getValidDropSquares(gameState.board, 'p', COLORS.WHITE, { rules: { allowPawnDropsOnSeventh: false } }).length,
+    40
+  );
+  assert.deepStrictEqual(getValidDropSquares(gameState.board, 'k', COLORS.WHITE), []);
+
+  // In check from a rook on a1 only the three squares between can be used
+  const { gameState: checked } = position('4k3/8/8/8/8/8/8/r3K3 w - - 0 1');
+  const squares = getValidDropSquares(checked.board, 'n', COLORS.WHITE);
+  assert.deepStrictEqual(squares, [sq('b1'), sq('c1'), sq('d1')]);
+});
+
+test('canDropPiece only checks the square and pawn ranks', () => {
+  const { gameState } = position('4k3/8/8/8/8/8/8/r3K3 w - - 0 1');
+  assert.ok(chess.canDropPiece(gameState.board, 'n', 4, 4, COLORS.WHITE));
+  assert.ok(!chess.canDropPiece(gameState.board, 'n', 7, 0, COLORS.WHITE));
+  assert.ok(!chess.canDropPiece(gameState.board, 'p', 0, 3, COLORS.WHITE));
+});
@@ -0,0 +1,38 @@
+// Shared helpers for the engine tests
+const { parseBfen } = require('../bfen');
+const chess = require('../../shared/chess');
+
+function position(bfen) {
+  const result = parseBfen(bfen);
+  if (!result.success) throw new Error(`${result.error}: ${bfen}`);
+  return result;
+}
+
+// Algebraic square ("e4") to engine coordinates
+function sq(square) {
+  return { row: 8 - Number(square[1]), col: 'abcdefgh'.indexOf(square[0]) };
+}
+
+// Plays a list of SAN moves from gameState, failing loudly on the first bad one
+function play(gameState, moves, options) {
+  let state = gameState;
+  for (const san of moves) {
+    const result = chess.makeSanMove(state, san, options);
+    if (!result.success) throw new Error(`${san}: ${result.error}`);
+    state = result.gameState;
+  }
+  return state;
+}
+
+function move(gameState, from, to, promotion = null, options) {
+  const a = sq(from);
+  const b = sq(to);
+  return chess.makeMove(gameState, a.row, a.col, b.row, b.col, promotion, options);
+}
+
+function drop(gameState, pieceType, to, options) {
+  const { row, col } = sq(to);
+  return chess.dropPiece(gameState, pieceType, row, col, gameState.turn, options);
+}
+
+module.exports = { position, sq, play, move, drop };
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  ROOM_STATES,
+  canTransition,
+  transition,
+  canPerform,
+  hasStarted,
+  stateFromSnapshot
+} = require('../lifecycle');
+
+test('transition follows the match lifecycle and records when the state changed', () => {
+  const room = { state: ROOM_STATES.WAITING };
+  assert.strictEqual(transition(room, ROOM_STATES.COUNTDOWN, 1000), true);
+  assert.strictEqual(transition(room, ROOM_STATES.PLAYING, 4000), true);
+  assert.strictEqual(transition(room, ROOM_STATES.PAUSED, 5000), true);
+  assert.strictEqual(transition(room, ROOM_STATES.PLAYING, 6000), true);
+  assert.strictEqual(transition(room, ROOM_STATES.FINISHED, 7000), true);
+  assert.deepStrictEqual(room, { state: 'finished', stateChangedAt: 7000 });
+  assert.strictEqual(transition(room, ROOM_STATES.WAITING, 8000), true);
+});
+
+test('transition refuses changes the lifecycle does not allow', () => {
+  const room = { state: ROOM_STATES.FINISHED, stateChangedAt: 1 };
+  assert.strictEqual(transition(room, ROOM_STATES.FINISHED), false);
+  assert.strictEqual(transition(room, ROOM_STATES.PLAYING), false);
+  assert.strictEqual(transition(room, ROOM_STATES.PAUSED), false);
+  assert.deepStrictEqual(room, { state: 'finished', stateChangedAt: 1 });
+
+  assert.strictEqual(canTransition('waiting', 'playing'), false);
+  assert.strictEqual(canTransition('paused', 'paused'), false);
+  assert.strictEqual(canTransition('unknown', 'waiting'), false);
+});
+
+test('canPerform only accepts actions that fit the current state', () => {
+  const at = (state) => ({ state });
+  assert.strictEqual(canPerform(at('waiting'), 'configure'), true);
+  assert.strictEqual(canPerform(at('countdown'), 'configure'), false);
+  assert.strictEqual(canPerform(at('countdown'), 'ready'), true);
+  assert.strictEqual(canPerform(at('playing'), 'move'), true);
+  assert.strictEqual(canPerform(at('paused'), 'move'), false);
+  assert.strictEqual(canPerform(at('paused'), 'conclude'), true);
+  assert.strictEqual(canPerform(at('finished'), 'conclude'), false);
+  assert.strictEqual(canPerform(at('finished'), 'restart'), true);
+  assert.strictEqual(canPerform(at('waiting'), 'restart'), false);
+  assert.strictEqual(canPerform(at('finished'), 'rematch'), true);
+  assert.strictEqual(canPerform(at('playing'), 'rematch'), false);
+  assert.strictEqual(canPerform(at('playing'), 'fly'), false);
+});
+
+test('hasStarted covers a match from its first move until the room resets', () => {
+  assert.deepStrictEqual(
+    Object.values(ROOM_STATES).map(state => hasStarted({ state })),
+    [false, false, true, true, true]
+  );
+});
+
+test('stateFromSnapshot keeps saved states and works one out for older saves', () => {
+  assert.strictEqual(stateFromSnapshot({ state: 'paused' }), 'paused');
+  assert.strictEqual(stateFromSnapshot({ state: 'bogus', gameStarted: false }), 'waiting');
+  assert.strictEqual(stateFromSnapshot({ gameStarted: true, result: null }), 'playing');
+  assert.strictEqual(stateFromSnapshot({ gameStarted: true, result: { winner: 'A' } }), 'finished');
+  assert.strictEqual(stateFromSnapshot({}), 'waiting');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGameState } = require('../../shared/chess');
+const { createPendingMove, getDisplayedState, hasLapsed } = require('../../shared/optimistic');
+const { play, sq } = require('./helpers');
+
+function serverState(boards = [createGameState(), createGameState()], pieceBanks = { 0: [], 1: [], 2: [], 3: [] }) {
+  return { boards, pieceBanks, state: 'playing' };
+}
+
+const e4 = { from: sq('e2'), to: sq('e4'), promotion: null };
+
+test('a pending move is shown on top of the server state', () => {
+  const server = serverState();
+  const pending = createPendingMove(server, 0, e4);
+  assert.deepStrictEqual(pending, { position: 0, boardIndex: 0, moveCount: 0, move: e4 });
+
+  const shown = getDisplayedState(server, pending);
+  assert.deepStrictEqual(shown.boards[0].moveHistory.map(m => m.san), ['e4']);
+  assert.strictEqual(shown.boards[0].turn, 'b');
+  assert.strictEqual(shown.boards[1], server.boards[1]);
+  assert.strictEqual(server.boards[0].moveHistory.length, 0);
+  assert.strictEqual(hasLapsed(server, pending), false);
+});
+
+test('captures go to the teammate\'s bank and drops leave our own', () => {
+  const server = serverState([play(createGameState(), ['e4', 'd5']), createGameState()]);
+  const capture = getDisplayedState(server, createPendingMove(server, 0, { from: sq('e4'), to: sq('d5') }));
+  assert.deepStrictEqual(capture.pieceBanks[2], [{ type: 'p', color: 'b' }]);
+
+  const withBank = serverState([createGameState(), play(createGameState(), ['e4'])], { 0: [], 1: [], 2: [{ type: 'n', color: 'b' }], 3: [] });
+  const dropped = getDisplayedState(withBank, createPendingMove(withBank, 2, { pieceType: 'n', row: 2, col: 5 }));
+  assert.deepStrictEqual(dropped.pieceBanks[2], []);
+  assert.deepStrictEqual(dropped.boards[1].board[2][5], { type: 'n', color: 'b' });
+});
+
+test('a refused move rolls back to the untouched server state', () => {
+  const server = serverState();
+  const before = JSON.stringify(server);
+  getDisplayedState(server, createPendingMove(server, 0, e4));
+
+  // The client drops the pending move when the server refuses it
+  assert.strictEqual(getDisplayedState(server, null), server);
+  assert.strictEqual(JSON.stringify(server), before);
+
+  // A move the rules module already turns down is never shown
+  const illegal = createPendingMove(server, 0, { from: sq('e2'), to: sq('e5') });
+  assert.strictEqual(getDisplayedState(server, illegal), server);
+  assert.strictEqual(hasLapsed(server, illegal), true);
+});
+
+test('the server state takes over once it has the move', () => {
+  const server = serverState();
+  const pending = createPendingMove(server, 0, e4);
+  const confirmed = serverState([play(createGameState(), ['e4']), createGameState()]);
+  assert.strictEqual(hasLapsed(confirmed, pending), true);
+  assert.strictEqual(getDisplayedState(confirmed, pending), confirmed);
+});
+
+test('a move the server silently dropped lapses when a snapshot leaves no room for it', () => {
+  const server = serverState();
+  const pending = createPendingMove(server, 0, e4);
+
+  // The snapshot after a reconnect still fits the move: keep showing it until answered
+  assert.strictEqual(hasLapsed(serverState(), pending), false);
+
+  // The match stopped, or the position moved on without it
+  assert.strictEqual(hasLapsed({ ...serverState(), state: 'paused' }, pending), true);
+  assert.strictEqual(hasLapsed({ ...serverState(), state: 'finished' }, pending), true);
+  assert.strictEqual(hasLapsed(serverState([play(createGameState(), ['d4', 'd5']), createGameState()]), pending), true);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashPassword, verifyPassword } = require('../password');
+
+test('hashPassword salts every hash and verifyPassword checks against it', async () => {
+  const first = await hashPassword('knight fork');
+  const second = await hashPassword('knight fork');
+  assert.notStrictEqual(first, second);
+  assert.ok(!first.includes('knight'));
+
+  assert.strictEqual(await verifyPassword('knight fork', first), true);
+  assert.strictEqual(await verifyPassword('knight fork', second), true);
+  assert.strictEqual(await verifyPassword('Knight fork', first), false);
+  assert.strictEqual(await verifyPassword('', first), false);
+});
+
+test('verifyPassword rejects missing passwords and malformed hashes', async () => {
+  const stored = await hashPassword('secret');
+  assert.strictEqual(await verifyPassword(undefined, stored), false);
+  assert.strictEqual(await verifyPassword('secret', null), false);
+  assert.strictEqual(await verifyPassword('secret', 'no-separator'), false);
+  assert.strictEqual(await verifyPassword('secret', 'salt:abcd'), false);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const chess = require('../../shared/chess');
+const { POSITIONS } = require('../scripts/perft-positions');
+const { position } = require('./helpers');
+
+// The same count through getLegalMoves/makeMove, which the server uses
+function apiPerft(gameState, depth) {
+  if (depth === 0) return 1;
+
+  let nodes = 0;
+  gameState.board.forEach((row, fromRow) => row.forEach((piece, fromCol) => {
+    if (!piece || piece.color !== gameState.turn) return;
+    for (const move of chess.getLegalMoves(gameState, fromRow, fromCol)) {
+      const isPromotion = piece.type === chess.PIECES.PAWN && (move.toRow === 0 || move.toRow === 7);
+      for (const promotion of isPromotion ? ['q', 'r', 'b', 'n'] : [null]) {
+        const result = chess.makeMove(gameState, fromRow, fromCol, move.toRow, move.toCol, promotion);
+        assert.ok(result.success, result.error);
+        nodes += apiPerft(result.gameState, depth - 1);
+      }
+    }
+  }));
+  return nodes;
+}
+
+for (const { name, fen, nodes } of POSITIONS) {
+  test(`perft: ${name}`, () => {
+    const { gameState } = position(fen);
+    nodes.forEach((expected, index) => {
+      assert.strictEqual(chess.perft(gameState, index + 1), expected, `depth ${index + 1}`);
+    });
+  });
+
+  test(`perft through the public API: ${name}`, () => {
+    const { gameState } = position(fen);
+    assert.strictEqual(apiPerft(gameState, 2), nodes[1]);
+  });
+}
+
+test('perft leaves the game state untouched', () => {
+  const { gameState } = position(POSITIONS[1].fen);
+  const before = JSON.stringify(gameState);
+  chess.perft(gameState, 2);
+  assert.strictEqual(JSON.stringify(gameState), before);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_PREMOVES, isDrop, addPremove, getReadyPremove } = require('../premoves');
+
+const move = { from: { row: 6, col: 4 }, to: { row: 4, col: 4 } };
+const drop = { pieceType: 'n', row: 5, col: 5 };
+
+test('addPremove queues premoves in order up to the limit', () => {
+  const player = { premoves: [] };
+  assert.deepStrictEqual(addPremove(player, move), { success: true });
+  assert.deepStrictEqual(addPremove(player, drop), { success: true });
+  assert.deepStrictEqual(player.premoves, [move, drop]);
+
+  for (let i = player.premoves.length; i < MAX_PREMOVES; i++) addPremove(player, move);
+  assert.strictEqual(addPremove(player, move).success, false);
+  assert.strictEqual(player.premoves.length, MAX_PREMOVES);
+});
+
+test('getReadyPremove holds back a pre-drop until its piece is in the bank', () => {
+  assert.strictEqual(getReadyPremove({ premoves: [] }, []), null);
+  assert.strictEqual(getReadyPremove({ premoves: [move, drop] }, []), move);
+
+  const player = { premoves: [drop, move] };
+  assert.strictEqual(getReadyPremove(player, [{ type: 'p', color: 'w' }]), null);
+  assert.strictEqual(getReadyPremove(player, [{ type: 'n', color: 'w' }]), drop);
+
+  assert.strictEqual(isDrop(drop), true);
+  assert.strictEqual(isDrop(move), false);
+});
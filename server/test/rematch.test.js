@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ROTATION_SCHEMES, isValidRotation, rotateSeats, recordSeriesResult, getSeriesScore } = require('../rematch');
+
+// Ann and Cid are partners, as are Bob and Dee
+const seated = () => [
+  { id: 'ann', position: 0 },
+  { id: 'bob', position: 1 },
+  { id: 'cid', position: 2 },
+  { id: 'dee', position: 3 }
+];
+const seatsOf = (players) => Object.fromEntries(players.map(p => [p.id, p.position]));
+
+test('rotateSeats moves everyone by the scheme and keeps partners together', () => {
+  const expected = {
+    none: { ann: 0, bob: 1, cid: 2, dee: 3 },
+    colors: { ann: 1, bob: 0, cid: 3, dee: 2 },
+    boards: { ann: 3, bob: 2, cid: 1, dee: 0 },
+    partners: { ann: 2, bob: 3, cid: 0, dee: 1 }
+  };
+  Object.keys(ROTATION_SCHEMES).forEach(scheme => {
+    const players = seated();
+    rotateSeats(players, scheme);
+    assert.deepStrictEqual(seatsOf(players), expected[scheme], scheme);
+    // Partners sit at positions of the same parity, i.e. on the same team
+    assert.strictEqual(players[0].position % 2, players[2].position % 2, scheme);
+  });
+
+  assert.strictEqual(isValidRotation('colors'), true);
+  assert.strictEqual(isValidRotation('shuffle'), false);
+  assert.strictEqual(isValidRotation('toString'), false);
+});
+
+test('the series score follows the pairs when seats rotate', () => {
+  const players = seated();
+  let series = recordSeriesResult(null, players, { winner: 'A', reason: 'checkmate' });
+  assert.deepStrictEqual(getSeriesScore(series, players), { games: 1, A: 1, B: 0 });
+
+  rotateSeats(players, 'colors');
+  assert.deepStrictEqual(getSeriesScore(series, players), { games: 1, A: 0, B: 1 });
+
+  series = recordSeriesResult(series, players, { winner: 'A', reason: 'timeout' });
+  series = recordSeriesResult(series, players, { winner: null, reason: 'agreement' });
+  assert.deepStrictEqual(getSeriesScore(series, players), { games: 3, A: 1.5, B: 1.5 });
+});
+
+test('aborted games do not count and new pairs start a new series', () => {
+  const players = seated();
+  const series = recordSeriesResult(null, players, { winner: 'B', reason: 'resignation' });
+  assert.strictEqual(recordSeriesResult(series, players, { winner: null, reason: 'aborted' }), series);
+  assert.strictEqual(recordSeriesResult(null, players, { winner: null, reason: 'aborted' }), null);
+
+  // Ann and Bob swap seats: the pairs are Ann+Dee and Bob+Cid now
+  players[0].position = 1;
+  players[1].position = 0;
+  assert.strictEqual(getSeriesScore(series, players), null);
+  const fresh = recordSeriesResult(series, players, { winner: 'A', reason: 'checkmate' });
+  assert.deepStrictEqual(getSeriesScore(fresh, players), { games: 1, A: 1, B: 0 });
+
+  assert.strictEqual(getSeriesScore(series, players.slice(0, 3)), null);
+});
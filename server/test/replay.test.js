@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { exportBpgn, parseBpgn } = require('../bpgn');
+const { replayMatch } = require('../replay');
+const { sq } = require('./helpers');
+
+const TIME_CONTROL = { minutes: 5, increment: 0 };
+
+// exd5 on board A hands a pawn to seat 2, who drops it on board B; board B
+// then ends in a fool's mate.
+const MOVE_LOG = [
+  { boardIndex: 0, color: 'w', notation: 'e4', clock: 298000, timestamp: 2000 },
+  { boardIndex: 0, color: 'b', notation: 'd5', clock: 297000, timestamp: 5000 },
+  { boardIndex: 0, color: 'w', notation: 'exd5', clock: 296000, timestamp: 7000 },
+  { boardIndex: 1, color: 'w', notation: 'f3', clock: 299000, timestamp: 8000 },
+  { boardIndex: 1, color: 'b', notation: 'P@a5', clock: 297000, timestamp: 10000 },
+  { boardIndex: 1, color: 'w', notation: 'g4', clock: 298000, timestamp: 11000 },
+  { boardIndex: 1, color: 'b', notation: 'e5', clock: 296000, timestamp: 12000 },
+  { boardIndex: 1, color: 'w', notation: 'h3', clock: 297000, timestamp: 13000 },
+  { boardIndex: 1, color: 'b', notation: 'Qh4#', clock: 295000, timestamp: 14000 }
+];
+
+test('replayMatch produces a frame for the start and after every move', () => {
+  const replay = replayMatch({ moveLog: MOVE_LOG, timeControl: TIME_CONTROL });
+  assert.ok(replay.success);
+  assert.strictEqual(replay.frames.length, MOVE_LOG.length + 1);
+  assert.strictEqual(replay.hasTimes, true);
+
+  const [start] = replay.frames;
+  assert.strictEqual(start.move, null);
+  assert.strictEqual(start.time, 0);
+  assert.deepStrictEqual(start.clocks, { 0: 300000, 1: 300000, 2: 300000, 3: 300000 });
+
+  const last = replay.frames[replay.frames.length - 1];
+  assert.strictEqual(last.boards[1].isCheckmate, true);
+  assert.strictEqual(last.time, 14000);
+  assert.deepStrictEqual(last.move, { index: 8, boardIndex: 1, position: 2, color: 'b', notation: 'Qh4#' });
+  assert.deepStrictEqual(last.boards[1].lastMove, { from: sq('d8'), to: sq('h4') });
+});
+
+test('replayMatch moves captured pieces to the teammate and out again on a drop', () => {
+  const { frames } = replayMatch({ moveLog: MOVE_LOG, timeControl: TIME_CONTROL });
+  assert.deepStrictEqual(frames[3].pieceBanks[2], [{ type: 'p', color: 'b' }]);
+  assert.deepStrictEqual(frames[5].pieceBanks[2], []);
+  assert.deepStrictEqual(frames[5].boards[1].board[3][0], { type: 'p', color: 'b' });
+  assert.deepStrictEqual(frames[5].boards[1].lastMove, { to: sq('a5') });
+  // Earlier frames are not changed by later moves
+  assert.strictEqual(frames[2].boards[1].board[3][0], null);
+});
+
+test('replayMatch works out move times from the clocks when there are no timestamps', () => {
+  const moveLog = MOVE_LOG.slice(0, 4).map(({ timestamp, ...entry }) => entry);
+  const { frames, hasTimes } = replayMatch({ moveLog, timeControl: TIME_CONTROL });
+  assert.strictEqual(hasTimes, true);
+  assert.deepStrictEqual(frames.map(frame => frame.time), [0, 2000, 5000, 7000, 7000]);
+
+  const untimed = replayMatch({ moveLog: moveLog.map(({ clock, ...entry }) => entry) });
+  assert.strictEqual(untimed.hasTimes, false);
+});
+
+test('replayMatch reports the first move that cannot be played', () => {
+  const moveLog = [...MOVE_LOG.slice(0, 3), { boardIndex: 1, color: 'b', notation: 'e5' }];
+  assert.deepStrictEqual(replayMatch({ moveLog }), {
+    success: false,
+    error: 'Move 4 (e5): not this side\'s turn'
+  });
+
+  const noPiece = [{ boardIndex: 1, color: 'w', notation: 'f3' }, { boardIndex: 1, color: 'b', notation: 'N@e5' }];
+  assert.strictEqual(replayMatch({ moveLog: noPiece }).error, 'Move 2 (N@e5): piece not in bank');
+});
+
+test('parseBpgn reads back what exportBpgn writes', () => {
+  const bpgn = exportBpgn({
+    players: { 0: 'Ann', 1: 'Bob', 2: 'Cid', 3: 'Dee' },
+    timeControl: TIME_CONTROL,
+    moveLog: MOVE_LOG,
+    result: { winner: 'B', reason: 'checkmate', boardIndex: 1 },
+    startedAt: Date.UTC(2024, 0, 1)
+  });
+  const parsed = parseBpgn(bpgn);
+  assert.ok(parsed.success);
+  assert.deepStrictEqual(parsed.players, { 0: 'Ann', 1: 'Bob', 2: 'Cid', 3: 'Dee' });
+  assert.deepStrictEqual(parsed.timeControl, TIME_CONTROL);
+  assert.deepStrictEqual(parsed.result, { winner: 'B' });
+  assert.deepStrictEqual(
+    parsed.moveLog.map(({ boardIndex, color, notation }) => ({ boardIndex, color, notation })),
+    MOVE_LOG.map(({ boardIndex, color, notation }) => ({ boardIndex, color, notation }))
+  );
+  assert.strictEqual(parsed.moveLog[0].clock, 298000);
+
+  const replay = replayMatch(parsed);
+  assert.ok(replay.success);
+  assert.strictEqual(replay.frames[replay.frames.length - 1].boards[1].isCheckmate, true);
+});
+
+test('parseBpgn rejects empty input and files without moves', () => {
+  assert.deepStrictEqual(parseBpgn(''), { success: false, error: 'BPGN is empty' });
+  assert.deepStrictEqual(parseBpgn('[Event "x"]\n\n*'), { success: false, error: 'No moves found in BPGN' });
+});
+
+test('exportBpgn writes the result and how the game ended', () => {
+  const bpgnFor = (result) => exportBpgn({ players: {}, timeControl: TIME_CONTROL, moveLog: MOVE_LOG.slice(0, 2), result });
+  const resigned = bpgnFor({ winner: 'A', reason: 'resignation', boardIndex: 1, position: 2 });
+  assert.match(resigned, /\[Result "1-0"\]/);
+  assert.match(resigned, /Team A wins by resignation on board B/);
+
+  const agreed = bpgnFor({ winner: null, reason: 'agreement' });
+  assert.match(agreed, /\[Result "1\/2-1\/2"\]/);
+  assert.match(agreed, /Draw by agreement/);
+
+  const aborted = bpgnFor({ winner: null, reason: 'aborted', position: 0 });
+  assert.match(aborted, /\[Result "\*"\]/);
+  assert.match(aborted, /Game aborted/);
+  assert.strictEqual(parseBpgn(aborted).result, null);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findFreeSeat, getFreeSeats, clearSwapRequests, changeSeat, takeSeat, requestSwap, declineSwap } = require('../seats');
+
+function seatPlayers(...positions) {
+  return positions.map((position, idx) => ({
+    id: `p${idx}`,
+    position,
+    ready: true,
+    swapRequest: null
+  }));
+}
+
+const seatsOf = (players) => Object.fromEntries(players.map(p => [p.id, p.position]));
+
+test('findFreeSeat returns the lowest free seat, or null when full', () => {
+  assert.strictEqual(findFreeSeat([]), 0);
+  assert.strictEqual(findFreeSeat(seatPlayers(0, 2)), 1);
+  assert.deepStrictEqual(getFreeSeats(seatPlayers(3, 0)), [1, 2]);
+  assert.strictEqual(findFreeSeat(seatPlayers(0, 1, 2, 3)), null);
+});
+
+test('seats stay put when a player leaves', () => {
+  const players = seatPlayers(0, 1, 2, 3);
+  players.splice(1, 1);
+  assert.deepStrictEqual(seatsOf(players), { p0: 0, p2: 2, p3: 3 });
+  assert.strictEqual(findFreeSeat(players), 1);
+});
+
+test('takeSeat moves a player to a free seat only', () => {
+  const players = seatPlayers(0, 1);
+  assert.deepStrictEqual(takeSeat(players, players[0], 3), { success: true });
+  assert.strictEqual(players[0].position, 3);
+  assert.strictEqual(players[0].ready, false);
+  assert.strictEqual(players[1].ready, true);
+
+  assert.strictEqual(takeSeat(players, players[0], 1).error, 'That seat is taken');
+  assert.strictEqual(takeSeat(players, players[0], 4).error, 'Invalid seat');
+  assert.strictEqual(takeSeat(players, players[0], '2').error, 'Invalid seat');
+});
+
+test('a swap happens once both players have asked for it', () => {
+  const players = seatPlayers(0, 1, 2);
+  const [a, b] = players;
+
+  assert.deepStrictEqual(requestSwap(players, a, 1), { success: true, swapped: false });
+  assert.strictEqual(a.swapRequest, 'p1');
+  assert.deepStrictEqual(seatsOf(players), { p0: 0, p1: 1, p2: 2 });
+
+  assert.deepStrictEqual(requestSwap(players, b, 0), { success: true, swapped: true });
+  assert.deepStrictEqual(seatsOf(players), { p0: 1, p1: 0, p2: 2 });
+  assert.strictEqual(a.swapRequest, null);
+  assert.strictEqual(a.ready, false);
+  assert.strictEqual(b.ready, false);
+  assert.strictEqual(players[2].ready, true);
+});
+
+test('requestSwap needs another player in the seat', () => {
+  const players = seatPlayers(0, 1);
+  assert.strictEqual(requestSwap(players, players[0], 2).error, 'That seat is empty');
+  assert.strictEqual(requestSwap(players, players[0], 0).error, 'You are already in that seat');
+});
+
+test('declineSwap withdraws our request or turns down theirs', () => {
+  const players = seatPlayers(0, 1, 2);
+  const [a, b, c] = players;
+
+  requestSwap(players, a, 1);
+  declineSwap(players, a, 1);
+  assert.strictEqual(a.swapRequest, null);
+
+  requestSwap(players, c, 1);
+  declineSwap(players, b, 2);
+  assert.strictEqual(c.swapRequest, null);
+});
+
+test('moving a player cancels swap requests made by or to them', () => {
+  const players = seatPlayers(0, 1, 2, 3);
+  const [a, b, c, d] = players;
+  requestSwap(players, a, 1);
+  requestSwap(players, c, 3);
+  requestSwap(players, d, 0);
+
+  changeSeat(players, a, 2);
+  assert.deepStrictEqual(seatsOf(players), { p0: 2, p1: 1, p2: 0, p3: 3 });
+  assert.strictEqual(a.swapRequest, null);
+  assert.strictEqual(c.swapRequest, null);
+  assert.strictEqual(d.swapRequest, null);
+  assert.strictEqual(b.ready, true);
+
+  requestSwap(players, b, 3);
+  clearSwapRequests(players, [d]);
+  assert.strictEqual(b.swapRequest, null);
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStorage, createFileStorage, createStorage } = require('../storage');
+
+const room = (id, extra = {}) => ({ id, players: [{ id: 'p1', name: 'Ann' }], chat: [], ...extra });
+
+function storageContract(name, makeStorage) {
+  test(`${name}: saves, replaces and deletes room snapshots`, async () => {
+    const storage = makeStorage();
+    await storage.saveRoom(room('AAAAAA'));
+    await storage.saveRoom(room('BBBBBB'));
+    await storage.saveRoom(room('AAAAAA', { chat: [{ message: 'hi' }] }));
+    await storage.flush();
+
+    let rooms = await storage.loadRooms();
+    assert.deepStrictEqual(rooms.map(r => r.id).sort(), ['AAAAAA', 'BBBBBB']);
+    assert.deepStrictEqual(rooms.find(r => r.id === 'AAAAAA').chat, [{ message: 'hi' }]);
+
+    await storage.deleteRoom('BBBBBB');
+    await storage.flush();
+    rooms = await storage.loadRooms();
+    assert.deepStrictEqual(rooms.map(r => r.id), ['AAAAAA']);
+  });
+
+  test(`${name}: archives games and lists them newest first`, async () => {
+    const storage = makeStorage();
+    const game = (id, endedAt, names) => ({
+      id,
+      endedAt,
+      players: names.map((playerName, position) => ({ name: playerName, position })),
+      result: { winner: 'A', reason: 'checkmate' },
+      moveLog: [{ notation: 'e4' }, { notation: 'e5' }]
+    });
+    await storage.saveGame(game('g1', 1000, ['Ann', 'Bob', 'Cat', 'Dan']));
+    await storage.saveGame(game('g2', 3000, ['Eve', 'Bob', 'Fay', 'Gus']));
+    await storage.saveGame(game('g3', 2000, ['Ann', 'Hal', 'Ivy', 'Jon']));
+
+    const all = await storage.listGames({});
+    assert.strictEqual(all.total, 3);
+    assert.deepStrictEqual(all.games.map(g => g.id), ['g2', 'g3', 'g1']);
+    assert.strictEqual(all.games[0].moveLog, undefined);
+    assert.strictEqual(all.games[0].moveCount, 2);
+
+    const page = await storage.listGames({ offset: 1, limit: 1 });
+    assert.deepStrictEqual(page.games.map(g => g.id), ['g3']);
+    assert.strictEqual(page.total, 3);
+
+    const ann = await storage.listGames({ player: 'an' });
+    assert.deepStrictEqual(ann.games.map(g => g.id), ['g3', 'g1']);
+
+    assert.deepStrictEqual((await storage.getGame('g2')).moveLog, [{ notation: 'e4' }, { notation: 'e5' }]);
+    assert.strictEqual(await storage.getGame('missing'), null);
+  });
+
+  test(`${name}: unlisted games are left out of listings but can be fetched`, async () => {
+    const storage = makeStorage();
+    const game = (id, listed) => ({
+      id,
+      endedAt: 1000,
+      players: [{ name: 'Ann', position: 0 }],
+      result: null,
+      moveLog: [],
+      ...(listed === undefined ? {} : { listed })
+    });
+    await storage.saveGame(game('public', true));
+    await storage.saveGame(game('private', false));
+    await storage.saveGame(game('old'));
+
+    const { games, total } = await storage.listGames({ player: 'ann' });
+    assert.deepStrictEqual(games.map(g => g.id).sort(), ['old', 'public']);
+    assert.strictEqual(total, 2);
+    assert.strictEqual((await storage.getGame('private')).id, 'private');
+  });
+
+  test(`${name}: snapshots are copies`, async () => {
+    const storage = makeStorage();
+    const snapshot = room('CCCCCC');
+    await storage.saveRoom(snapshot);
+    snapshot.players[0].name = 'Changed';
+    await storage.flush();
+
+    const [loaded] = await storage.loadRooms();
+    assert.strictEqual(loaded.players[0].name, 'Ann');
+  });
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'bughouse-storage-'));
+}
+
+storageContract('memory storage', createMemoryStorage);
+storageContract('file storage', () => createFileStorage(tempDir()));
+
+test('file storage keeps only the newest of rapid saves', async () => {
+  const directory = tempDir();
+  const storage = createFileStorage(directory);
+  for (let i = 0; i < 20; i++) {
+    storage.saveRoom(room('DDDDDD', { moveLog: Array(i).fill('e4') }));
+  }
+  await storage.flush();
+
+  const [loaded] = await createFileStorage(directory).loadRooms();
+  assert.strictEqual(loaded.moveLog.length, 19);
+  assert.deepStrictEqual(fs.readdirSync(directory), ['DDDDDD.json']);
+});
+
+test('file storage reads archived games saved by an earlier process', async () => {
+  const directory = tempDir();
+  await createFileStorage(directory).saveGame({ id: 'g1', endedAt: 1, players: [], moveLog: [] });
+
+  const storage = createFileStorage(directory);
+  await storage.saveGame({ id: 'g2', endedAt: 2, players: [], moveLog: [] });
+  const { games } = await storage.listGames({});
+  assert.deepStrictEqual(games.map(g => g.id), ['g2', 'g1']);
+});
+
+test('file storage loads nothing from a missing directory and skips broken files', async () => {
+  const directory = tempDir();
+  assert.deepStrictEqual(await createFileStorage(path.join(directory, 'missing')).loadRooms(), []);
+
+  fs.writeFileSync(path.join(directory, 'EEEEEE.json'), '{ not json');
+  fs.writeFileSync(path.join(directory, 'FFFFFF.json'), JSON.stringify(room('FFFFFF')));
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const rooms = await createFileStorage(directory).loadRooms();
+    assert.deepStrictEqual(rooms.map(r => r.id), ['FFFFFF']);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('createStorage picks the implementation from the environment', async () => {
+  const directory = tempDir();
+  const fileStorage = createStorage({ STORAGE: 'file', STORAGE_DIR: directory });
+  await fileStorage.saveRoom(room('GGGGGG'));
+  assert.deepStrictEqual(fs.readdirSync(directory), ['GGGGGG.json']);
+
+  const memoryStorage = createStorage({});
+  await memoryStorage.saveRoom(room('HHHHHH'));
+  assert.deepStrictEqual(fs.readdirSync(directory), ['GGGGGG.json']);
+});
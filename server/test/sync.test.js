@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGameState } = require('../../shared/chess');
+const { diffGameState, applyGameDelta } = require('../../shared/sync');
+const { play, drop } = require('./helpers');
+
+// A game state as the server sends it, after a round trip through JSON
+function snapshot(boards, pieceBanks = { 0: [], 1: [], 2: [], 3: [] }, fields = {}) {
+  return JSON.parse(JSON.stringify({ boards, pieceBanks, state: 'playing', drawOffer: null, ...fields }));
+}
+
+test('diffGameState sends only the squares and history entries that changed', () => {
+  const start = createGameState();
+  const prev = snapshot([start, createGameState()]);
+  const next = snapshot([play(start, ['e4']), createGameState()]);
+
+  const delta = diffGameState(prev, next);
+  assert.deepStrictEqual(Object.keys(delta.boards), ['0']);
+  assert.deepStrictEqual(delta.boards[0].squares, [
+    { row: 4, col: 4, piece: { type: 'p', color: 'w' } },
+    { row: 6, col: 4, piece: null }
+  ]);
+  assert.strictEqual(delta.boards[0].added.moveHistory.length, 1);
+  assert.strictEqual(delta.boards[0].fields.turn, 'b');
+  assert.strictEqual(delta.pieceBanks, undefined);
+  assert.strictEqual(delta.fields, undefined);
+
+  assert.deepStrictEqual(applyGameDelta(prev, JSON.parse(JSON.stringify(delta))), next);
+});
+
+test('applyGameDelta rebuilds captures, bank changes and drops', () => {
+  const before = play(createGameState(), ['e4', 'd5']);
+  const capture = play(before, ['exd5']);
+  const prev = snapshot([before, createGameState()]);
+  const next = snapshot([capture, createGameState()], { 0: [], 1: [], 2: [{ type: 'p', color: 'w' }], 3: [] });
+
+  const delta = diffGameState(prev, next);
+  assert.deepStrictEqual(delta.pieceBanks, { 2: [{ type: 'p', color: 'w' }] });
+  assert.deepStrictEqual(applyGameDelta(prev, delta), next);
+
+  const dropped = drop(play(createGameState(), ['e4']), 'p', 'e5');
+  assert.strictEqual(dropped.success, true);
+  const later = snapshot([capture, dropped.gameState], { 0: [], 1: [], 2: [], 3: [] }, { drawOffer: { team: 'A', position: 0 } });
+  const dropDelta = diffGameState(next, later);
+  assert.deepStrictEqual(dropDelta.fields, { drawOffer: { team: 'A', position: 0 } });
+  assert.deepStrictEqual(applyGameDelta(next, dropDelta), later);
+});
+
+test('diffGameState is empty without changes and null after a reset', () => {
+  const played = snapshot([play(createGameState(), ['e4', 'e5']), createGameState()]);
+  assert.deepStrictEqual(diffGameState(played, played), {});
+  assert.strictEqual(diffGameState(null, played), null);
+  assert.strictEqual(diffGameState(played, snapshot([createGameState(), createGameState()])), null);
+});
+
+test('fields that are gone from the state are removed on the client too', () => {
+  const board = play(createGameState(), ['e4']);
+  const prev = snapshot([{ ...board, lastMove: { row: 4, col: 4 } }, createGameState()], undefined, { drawOffer: { team: 'A', position: 0 }, pausedAt: 1000 });
+  const next = snapshot([board, createGameState()], undefined, { drawOffer: null });
+
+  const delta = JSON.parse(JSON.stringify(diffGameState(prev, next)));
+  assert.deepStrictEqual(delta.removed, ['pausedAt']);
+  assert.deepStrictEqual(delta.boards[0].removed, ['lastMove']);
+  assert.deepStrictEqual(delta.fields, { drawOffer: null });
+
+  const applied = applyGameDelta(prev, delta);
+  assert.ok(!('pausedAt' in applied));
+  assert.ok(!('lastMove' in applied.boards[0]));
+  assert.deepStrictEqual(applied, next);
+});
+
+test('applyGameDelta leaves the previous state untouched', () => {
+  const prev = snapshot([createGameState(), createGameState()]);
+  const copy = JSON.parse(JSON.stringify(prev));
+  const next = snapshot([play(createGameState(), ['Nf3']), createGameState()]);
+
+  applyGameDelta(prev, diffGameState(prev, next));
+  assert.deepStrictEqual(prev, copy);
+});
@@ -0,0 +1,1018 @@
+// Chess game logic for Bughouse
+// Shared by the server, which validates every move, and the client, which
+// uses it to highlight legal moves and drops without asking the server.
+//
+// Game states keep the board as an 8x8 array of { type, color } objects, which
+// is what gets sent to clients. Move generation works on a compact 0x88
+// position instead (see "Position" below): a move is made and unmade in
+// place, so testing legality never copies the board.
+const PIECES = {
+  KING: 'k',
+  QUEEN: 'q',
+  ROOK: 'r',
+  BISHOP: 'b',
+  KNIGHT: 'n',
+  PAWN: 'p'
+};
+
+const COLORS = {
+  WHITE: 'w',
+  BLACK: 'b'
+};
+
+// Unicode symbols the client draws pieces with
+const PIECE_SYMBOLS = {
+  k: { w: '♔', b: '♚' },
+  q: { w: '♕', b: '♛' },
+  r: { w: '♖', b: '♜' },
+  b: { w: '♗', b: '♝' },
+  n: { w: '♘', b: '♞' },
+  p: { w: '♙', b: '♟' }
+};
+
+const FILES = 'abcdefgh';
+const PROMOTION_PIECES = [PIECES.QUEEN, PIECES.ROOK, PIECES.BISHOP, PIECES.KNIGHT];
+const DROPPABLE_PIECES = [PIECES.QUEEN, PIECES.ROOK, PIECES.BISHOP, PIECES.KNIGHT, PIECES.PAWN];
+
+// Room-level rule options understood by the engine
+const DEFAULT_RULES = {
+  // When true, a check that any dropped piece could block is not mate, even
+  // if the piece is not in the bank yet (the partner might still supply it)
+  potentialDropsPreventMate: false,
+  // When true, a side with no legal move or drop waits for a piece from its
+  // partner (with its clock running) instead of the match ending in stalemate
+  waitOnStalemate: false,
+  // Drop rule variants
+  allowPawnDropsOnSeventh: true, // Pawns may be dropped on their own 7th rank
+  allowDropChecks: true, // Drops may give check
+  allowDropCheckmates: true, // Drops may give checkmate
+  allowDroppedPawnDoubleStep: true // A pawn dropped on its 2nd rank may move two squares
+};
+
+// Initial board setup
+function createInitialBoard() {
+  const board = Array(8).fill(null).map(() => Array(8).fill(null));
+
+  // Set up pawns
+  for (let i = 0; i < 8; i++) {
+    board[1][i] = { type: PIECES.PAWN, color: COLORS.BLACK };
+    board[6][i] = { type: PIECES.PAWN, color: COLORS.WHITE };
+  }
+
+  // Set up back ranks
+  const backRank = [PIECES.ROOK, PIECES.KNIGHT, PIECES.BISHOP, PIECES.QUEEN, PIECES.KING, PIECES.BISHOP, PIECES.KNIGHT, PIECES.ROOK];
+  for (let i = 0; i < 8; i++) {
+    board[0][i] = { type: backRank[i], color: COLORS.BLACK };
+    board[7][i] = { type: backRank[i], color: COLORS.WHITE };
+  }
+
+  return board;
+}
+
+function createGameState() {
+  return {
+    board: createInitialBoard(),
+    turn: COLORS.WHITE,
+    castlingRights: {
+      [COLORS.WHITE]: { kingSide: true, queenSide: true },
+      [COLORS.BLACK]: { kingSide: true, queenSide: true }
+    },
+    enPassantTarget: null,
+    moveHistory: [],
+    capturedPieces: [], // Pieces captured go to teammate's bank
+    isCheck: false,
+    isCheckmate: false,
+    isStalemate: false,
+    isWaiting: false, // Side to move is stuck until it receives a piece to drop
+    winner: null
+  };
+}
+
+// Copies every piece including its flags (e.g. `promoted`)
+function cloneBoard(board) {
+  return board.map(row => row.map(cell => cell ? { ...cell } : null));
+}
+
+// ---------------------------------------------------------------------------
+// Position: 0x88 board representation
+//
+// Square index = row * 16 + col, with row 0 being rank 8 like the array board.
+// An index is on the board when (sq & 0x88) === 0. A piece is its type code
+// OR'ed with its colour bit; 0 is an empty square.
+// ---------------------------------------------------------------------------
+
+const PAWN = 1;
+const KNIGHT = 2;
+const BISHOP = 3;
+const ROOK = 4;
+const QUEEN = 5;
+const KING = 6;
+const WHITE = 8;
+const BLACK = 16;
+const TYPE_MASK = 7;
+const COLOR_MASK = 24;
+
+// Per-square piece flags, carried along when the piece moves
+const FLAG_PROMOTED = 1;
+const FLAG_NO_DOUBLE_STEP = 2;
+
+// Castling rights bits
+const CASTLE_WK = 1;
+const CASTLE_WQ = 2;
+const CASTLE_BK = 4;
+const CASTLE_BQ = 8;
+
+const TYPE_CODES = { p: PAWN, n: KNIGHT, b: BISHOP, r: ROOK, q: QUEEN, k: KING };
+const TYPE_LETTERS = [null, 'p', 'n', 'b', 'r', 'q', 'k'];
+
+const KNIGHT_OFFSETS = [-33, -31, -18, -14, 14, 18, 31, 33];
+const KING_OFFSETS = [-17, -16, -15, -1, 1, 15, 16, 17];
+const ROOK_DIRECTIONS = [-16, -1, 1, 16];
+const BISHOP_DIRECTIONS = [-17, -15, 15, 17];
+
+const SQ_A8 = 0;
+const SQ_C8 = 2;
+const SQ_D8 = 3;
+const SQ_E8 = 4;
+const SQ_F8 = 5;
+const SQ_G8 = 6;
+const SQ_H8 = 7;
+const SQ_A1 = 112;
+const SQ_C1 = 114;
+const SQ_D1 = 115;
+const SQ_E1 = 116;
+const SQ_F1 = 117;
+const SQ_G1 = 118;
+const SQ_H1 = 119;
+
+// Rights that survive a move touching each square (rook or king moved/captured)
+const CASTLE_MASK = new Uint8Array(128).fill(15);
+CASTLE_MASK[SQ_A8] = 15 & ~CASTLE_BQ;
+CASTLE_MASK[SQ_E8] = 15 & ~(CASTLE_BK | CASTLE_BQ);
+CASTLE_MASK[SQ_H8] = 15 & ~CASTLE_BK;
+CASTLE_MASK[SQ_A1] = 15 & ~CASTLE_WQ;
+CASTLE_MASK[SQ_E1] = 15 & ~(CASTLE_WK | CASTLE_WQ);
+CASTLE_MASK[SQ_H1] = 15 & ~CASTLE_WK;
+
+function toSquare(row, col) {
+  return row * 16 + col;
+}
+
+function colorBit(color) {
+  return color === COLORS.WHITE ? WHITE : BLACK;
+}
+
+function colorName(bit) {
+  return bit === WHITE ? COLORS.WHITE : COLORS.BLACK;
+}
+
+function opposite(bit) {
+  return bit === WHITE ? BLACK : WHITE;
+}
+
+function createPosition() {
+  return {
+    squares: new Uint8Array(128),
+    flags: new Uint8Array(128),
+    kings: { [WHITE]: -1, [BLACK]: -1 }, // Tracked incrementally by make/unmake
+    turn: WHITE,
+    castling: 0,
+    ep: -1
+  };
+}
+
+function putPiece(pos, sq, piece, flags = 0) {
+  pos.squares[sq] = piece;
+  pos.flags[sq] = flags;
+  if ((piece & TYPE_MASK) === KING) pos.kings[piece & COLOR_MASK] = sq;
+}
+
+function positionFromBoard(board, turn = COLORS.WHITE) {
+  const pos = createPosition();
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const piece = board[row][col];
+      if (!piece) continue;
+      let flags = 0;
+      if (piece.promoted) flags |= FLAG_PROMOTED;
+      if (piece.noDoubleStep) flags |= FLAG_NO_DOUBLE_STEP;
+      putPiece(pos, toSquare(row, col), TYPE_CODES[piece.type] | colorBit(piece.color), flags);
+    }
+  }
+  pos.turn = colorBit(turn);
+  return pos;
+}
+
+function positionFromGameState(gameState) {
+  const pos = positionFromBoard(gameState.board, gameState.turn);
+  const rights = gameState.castlingRights;
+  if (rights[COLORS.WHITE].kingSide) pos.castling |= CASTLE_WK;
+  if (rights[COLORS.WHITE].queenSide) pos.castling |= CASTLE_WQ;
+  if (rights[COLORS.BLACK].kingSide) pos.castling |= CASTLE_BK;
+  if (rights[COLORS.BLACK].queenSide) pos.castling |= CASTLE_BQ;
+  if (gameState.enPassantTarget) {
+    pos.ep = toSquare(gameState.enPassantTarget.row, gameState.enPassantTarget.col);
+  }
+  return pos;
+}
+
+function pieceObject(piece, flags) {
+  const result = { type: TYPE_LETTERS[piece & TYPE_MASK], color: colorName(piece & COLOR_MASK) };
+  if (flags & FLAG_PROMOTED) result.promoted = true;
+  if (flags & FLAG_NO_DOUBLE_STEP) result.noDoubleStep = true;
+  return result;
+}
+
+function boardFromPosition(pos) {
+  const board = Array(8).fill(null).map(() => Array(8).fill(null));
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const sq = toSquare(row, col);
+      if (pos.squares[sq]) board[row][col] = pieceObject(pos.squares[sq], pos.flags[sq]);
+    }
+  }
+  return board;
+}
+
+function castlingRightsFromPosition(pos) {
+  return {
+    [COLORS.WHITE]: { kingSide: Boolean(pos.castling & CASTLE_WK), queenSide: Boolean(pos.castling & CASTLE_WQ) },
+    [COLORS.BLACK]: { kingSide: Boolean(pos.castling & CASTLE_BK), queenSide: Boolean(pos.castling & CASTLE_BQ) }
+  };
+}
+
+function isAttacked(pos, sq, byColor) {
+  const { squares } = pos;
+
+  // Pawns attack diagonally forward, so look one row "behind" the square
+  const pawn = PAWN | byColor;
+  const pawnRow = byColor === WHITE ? 16 : -16;
+  for (const side of [-1, 1]) {
+    const from = sq + pawnRow + side;
+    if (!(from & 0x88) && squares[from] === pawn) return true;
+  }
+
+  const knight = KNIGHT | byColor;
+  for (const offset of KNIGHT_OFFSETS) {
+    const from = sq + offset;
+    if (!(from & 0x88) && squares[from] === knight) return true;
+  }
+
+  const king = KING | byColor;
+  for (const offset of KING_OFFSETS) {
+    const from = sq + offset;
+    if (!(from & 0x88) && squares[from] === king) return true;
+  }
+
+  const rook = ROOK | byColor;
+  const bishop = BISHOP | byColor;
+  const queen = QUEEN | byColor;
+  for (const direction of ROOK_DIRECTIONS) {
+    for (let from = sq + direction; !(from & 0x88); from += direction) {
+      const piece = squares[from];
+      if (!piece) continue;
+      if (piece === rook || piece === queen) return true;
+      break;
+    }
+  }
+  for (const direction of BISHOP_DIRECTIONS) {
+    for (let from = sq + direction; !(from & 0x88); from += direction) {
+      const piece = squares[from];
+      if (!piece) continue;
+      if (piece === bishop || piece === queen) return true;
+      break;
+    }
+  }
+
+  return false;
+}
+
+function isKingAttacked(pos, color) {
+  const kingSq = pos.kings[color];
+  return kingSq !== -1 && isAttacked(pos, kingSq, opposite(color));
+}
+
+function addPawnMove(moves, from, to, color, fields, allPromotions) {
+  const promotionRow = color === WHITE ? 0 : 7;
+  if ((to >> 4) === promotionRow && allPromotions) {
+    for (const type of [QUEEN, ROOK, BISHOP, KNIGHT]) {
+      moves.push({ from, to, ...fields, promotion: type | color });
+    }
+  } else {
+    moves.push({ from, to, ...fields });
+  }
+}
+
+// Pseudo-legal moves of the piece on `from`. With allPromotions a promotion
+// is generated once per piece type; otherwise once per destination.
+function generatePieceMoves(pos, from, moves, allPromotions = false) {
+  const { squares } = pos;
+  const piece = squares[from];
+  const color = piece & COLOR_MASK;
+  const enemy = opposite(color);
+  const type = piece & TYPE_MASK;
+
+  if (type === PAWN) {
+    const forward = color === WHITE ? -16 : 16;
+    const startRow = color === WHITE ? 6 : 1;
+    const one = from + forward;
+    if (!(one & 0x88) && !squares[one]) {
+      addPawnMove(moves, from, one, color, {}, allPromotions);
+      const two = one + forward;
+      if ((from >> 4) === startRow && !(pos.flags[from] & FLAG_NO_DOUBLE_STEP) && !squares[two]) {
+        moves.push({ from, to: two, double: true });
+      }
+    }
+    for (const side of [-1, 1]) {
+      const to = one + side;
+      if (to & 0x88) continue;
+      if (squares[to] && (squares[to] & COLOR_MASK) === enemy) {
+        addPawnMove(moves, from, to, color, { capture: true }, allPromotions);
+      } else if (to === pos.ep) {
+        moves.push({ from, to, capture: true, enPassant: true });
+      }
+    }
+    return moves;
+  }
+
+  if (type === KNIGHT || type === KING) {
+    for (const offset of type === KNIGHT ? KNIGHT_OFFSETS : KING_OFFSETS) {
+      const to = from + offset;
+      if (to & 0x88) continue;
+      if (!squares[to]) {
+        moves.push({ from, to });
+      } else if ((squares[to] & COLOR_MASK) === enemy) {
+        moves.push({ from, to, capture: true });
+      }
+    }
+    if (type === KING) generateCastlingMoves(pos, from, color, moves);
+    return moves;
+  }
+
+  const directions = type === ROOK ? ROOK_DIRECTIONS
+    : type === BISHOP ? BISHOP_DIRECTIONS
+      : [...ROOK_DIRECTIONS, ...BISHOP_DIRECTIONS];
+  for (const direction of directions) {
+    for (let to = from + direction; !(to & 0x88); to += direction) {
+      if (!squares[to]) {
+        moves.push({ from, to });
+        continue;
+      }
+      if ((squares[to] & COLOR_MASK) === enemy) {
+        moves.push({ from, to, capture: true });
+      }
+      break;
+    }
+  }
+  return moves;
+}
+
+function generateCastlingMoves(pos, from, color, moves) {
+  const { squares } = pos;
+  const enemy = opposite(color);
+  const rook = ROOK | color;
+  const white = color === WHITE;
+
+  if (from !== (white ? SQ_E1 : SQ_E8) || isAttacked(pos, from, enemy)) return;
+
+  // The destination square itself is checked by the legality test
+  const kingSide = white ? CASTLE_WK : CASTLE_BK;
+  const [f, g, h] = white ? [SQ_F1, SQ_G1, SQ_H1] : [SQ_F8, SQ_G8, SQ_H8];
+  if ((pos.castling & kingSide) && squares[h] === rook && !squares[f] && !squares[g] &&
+      !isAttacked(pos, f, enemy)) {
+    moves.push({ from, to: g, castling: 'kingSide' });
+  }
+
+  const queenSide = white ? CASTLE_WQ : CASTLE_BQ;
+  const [a, c, d] = white ? [SQ_A1, SQ_C1, SQ_D1] : [SQ_A8, SQ_C8, SQ_D8];
+  if ((pos.castling & queenSide) && squares[a] === rook && !squares[a + 1] && !squares[c] && !squares[d] &&
+      !isAttacked(pos, d, enemy)) {
+    moves.push({ from, to: c, castling: 'queenSide' });
+  }
+}
+
+// Plays a move in place and returns what unmakeMove needs to take it back
+function makePositionMove(pos, move) {
+  const { squares, flags } = pos;
+  const piece = squares[move.from];
+  const color = piece & COLOR_MASK;
+  const capturedSq = move.enPassant ? move.to + (color === WHITE ? 16 : -16) : move.to;
+
+  const undo = {
+    turn: pos.turn,
+    castling: pos.castling,
+    ep: pos.ep,
+    capturedSq,
+    captured: squares[capturedSq],
+    capturedFlags: flags[capturedSq],
+    movedFlags: flags[move.from]
+  };
+
+  squares[capturedSq] = 0;
+  flags[capturedSq] = 0;
+
+  if (move.promotion) {
+    squares[move.to] = move.promotion;
+    flags[move.to] = FLAG_PROMOTED;
+  } else {
+    squares[move.to] = piece;
+    flags[move.to] = flags[move.from];
+  }
+  squares[move.from] = 0;
+  flags[move.from] = 0;
+
+  if ((piece & TYPE_MASK) === KING) {
+    pos.kings[color] = move.to;
+    if (move.castling) {
+      const [rookFrom, rookTo] = move.castling === 'kingSide' ? [move.to + 1, move.to - 1] : [move.to - 2, move.to + 1];
+      squares[rookTo] = squares[rookFrom];
+      flags[rookTo] = flags[rookFrom];
+      squares[rookFrom] = 0;
+      flags[rookFrom] = 0;
+    }
+  }
+
+  pos.castling &= CASTLE_MASK[move.from] & CASTLE_MASK[move.to];
+  pos.ep = move.double ? (move.from + move.to) / 2 : -1;
+  pos.turn = opposite(color);
+  return undo;
+}
+
+function unmakePositionMove(pos, move, undo) {
+  const { squares, flags } = pos;
+  const piece = move.promotion ? (PAWN | (move.promotion & COLOR_MASK)) : squares[move.to];
+  const color = piece & COLOR_MASK;
+
+  squares[move.from] = piece;
+  flags[move.from] = undo.movedFlags;
+  squares[move.to] = 0;
+  flags[move.to] = 0;
+  squares[undo.capturedSq] = undo.captured;
+  flags[undo.capturedSq] = undo.capturedFlags;
+
+  if ((piece & TYPE_MASK) === KING) {
+    pos.kings[color] = move.from;
+    if (move.castling) {
+      const [rookFrom, rookTo] = move.castling === 'kingSide' ? [move.to + 1, move.to - 1] : [move.to - 2, move.to + 1];
+      squares[rookFrom] = squares[rookTo];
+      flags[rookFrom] = flags[rookTo];
+      squares[rookTo] = 0;
+      flags[rookTo] = 0;
+    }
+  }
+
+  pos.castling = undo.castling;
+  pos.ep = undo.ep;
+  pos.turn = undo.turn;
+}
+
+function isLegalPositionMove(pos, move) {
+  const color = pos.squares[move.from] & COLOR_MASK;
+  const undo = makePositionMove(pos, move);
+  const legal = !isKingAttacked(pos, color);
+  unmakePositionMove(pos, move, undo);
+  return legal;
+}
+
+function generateLegalMoves(pos, from, allPromotions = false) {
+  return generatePieceMoves(pos, from, [], allPromotions).filter(move => isLegalPositionMove(pos, move));
+}
+
+function generateAllLegalMoves(pos, allPromotions = false) {
+  const moves = [];
+  for (let sq = 0; sq < 128; sq++) {
+    if (sq & 0x88) {
+      sq += 7;
+      continue;
+    }
+    if (pos.squares[sq] && (pos.squares[sq] & COLOR_MASK) === pos.turn) {
+      generatePieceMoves(pos, sq, moves, allPromotions);
+    }
+  }
+  return moves.filter(move => isLegalPositionMove(pos, move));
+}
+
+function hasAnyLegalMove(pos) {
+  const moves = [];
+  for (let sq = 0; sq < 128; sq++) {
+    if (sq & 0x88) {
+      sq += 7;
+      continue;
+    }
+    if (!pos.squares[sq] || (pos.squares[sq] & COLOR_MASK) !== pos.turn) continue;
+    moves.length = 0;
+    generatePieceMoves(pos, sq, moves);
+    if (moves.some(move => isLegalPositionMove(pos, move))) return true;
+  }
+  return false;
+}
+
+function positionPerft(pos, depth) {
+  const moves = generateAllLegalMoves(pos, true);
+  if (depth === 1) return moves.length;
+
+  let nodes = 0;
+  for (const move of moves) {
+    const undo = makePositionMove(pos, move);
+    nodes += positionPerft(pos, depth - 1);
+    unmakePositionMove(pos, move, undo);
+  }
+  return nodes;
+}
+
+// Number of leaf nodes of the board-move tree (drops not included)
+function perft(gameState, depth) {
+  if (depth === 0) return 1;
+  return positionPerft(positionFromGameState(gameState), depth);
+}
+
+// ---------------------------------------------------------------------------
+// Drops on a Position
+// ---------------------------------------------------------------------------
+
+function canDropAt(pos, type, sq, color, rules) {
+  if (pos.squares[sq]) return false;
+  if (type !== PAWN) return true;
+
+  const row = sq >> 4;
+  // Cannot drop pawns on first or last rank
+  if (row === 0 || row === 7) return false;
+  // Optionally no pawn drops on the dropping side's 7th rank
+  const seventhRow = color === WHITE ? 1 : 6;
+  return !(row === seventhRow && rules.allowPawnDropsOnSeventh === false);
+}
+
+function dropFlags(type, sq, color, rules) {
+  const secondRow = color === WHITE ? 6 : 1;
+  if (type === PAWN && (sq >> 4) === secondRow && rules.allowDroppedPawnDoubleStep === false) {
+    return FLAG_NO_DOUBLE_STEP;
+  }
+  return 0;
+}
+
+// Drop restrictions that depend on the position after the drop (check and
+// checkmate rules). Expects the dropped piece to be on the board already.
+// Returns an error message, or null if the drop is allowed.
+function getDropRuleError(pos, color, rules, opponentBank) {
+  if (rules.allowDropChecks && rules.allowDropCheckmates) return null;
+
+  const enemy = opposite(color);
+  if (!isKingAttacked(pos, enemy)) return null;
+
+  if (!rules.allowDropChecks) {
+    return 'Drops that give check are not allowed';
+  }
+
+  // The opponent is in check, so castling rights can't matter; a drop
+  // always clears the en passant square
+  const { turn, ep } = pos;
+  pos.turn = enemy;
+  pos.ep = -1;
+  const status = evaluatePosition(pos, bankTypeCodes(opponentBank, enemy), rules);
+  pos.turn = turn;
+  pos.ep = ep;
+
+  return status.isCheckmate ? 'Drops that give checkmate are not allowed' : null;
+}
+
+function isLegalDrop(pos, type, sq, color, rules, opponentBank) {
+  if (!canDropAt(pos, type, sq, color, rules)) return false;
+
+  pos.squares[sq] = type | color;
+  const legal = !isKingAttacked(pos, color) && !getDropRuleError(pos, color, rules, opponentBank);
+  pos.squares[sq] = 0;
+  return legal;
+}
+
+function getDropSquares(pos, type, color, rules, opponentBank) {
+  const squares = [];
+  for (let sq = 0; sq < 128; sq++) {
+    if (sq & 0x88) {
+      sq += 7;
+      continue;
+    }
+    if (isLegalDrop(pos, type, sq, color, rules, opponentBank)) squares.push(sq);
+  }
+  return squares;
+}
+
+function hasLegalDrop(pos, typeCodes, color, rules) {
+  // Drop-mate restrictions don't matter for whether a drop exists at all, and
+  // evaluating them here would recurse into another mate search
+  const dropRules = { ...rules, allowDropCheckmates: true };
+  for (let sq = 0; sq < 128; sq++) {
+    if (sq & 0x88) {
+      sq += 7;
+      continue;
+    }
+    if (typeCodes.some(type => isLegalDrop(pos, type, sq, color, dropRules))) return true;
+  }
+  return false;
+}
+
+function bankTypeCodes(bank = [], color) {
+  const name = colorName(color);
+  return [...new Set(bank.filter(p => p.color === name).map(p => TYPE_CODES[p.type]))];
+}
+
+// Check/checkmate/stalemate/waiting for the side to move in `pos`
+function evaluatePosition(pos, bankTypes, rules) {
+  const status = { isCheck: isKingAttacked(pos, pos.turn), isCheckmate: false, isStalemate: false, isWaiting: false };
+
+  if (hasAnyLegalMove(pos) || hasLegalDrop(pos, bankTypes, pos.turn, rules)) {
+    return status;
+  }
+
+  if (status.isCheck) {
+    const allTypes = DROPPABLE_PIECES.map(type => TYPE_CODES[type]);
+    if (rules.potentialDropsPreventMate && hasLegalDrop(pos, allTypes, pos.turn, rules)) {
+      status.isWaiting = true;
+    } else {
+      status.isCheckmate = true;
+    }
+  } else if (rules.waitOnStalemate) {
+    status.isWaiting = true;
+  } else {
+    status.isStalemate = true;
+  }
+  return status;
+}
+
+// ---------------------------------------------------------------------------
+// Public API on array boards and game states
+// ---------------------------------------------------------------------------
+
+function isInCheck(board, color) {
+  return isKingAttacked(positionFromBoard(board), colorBit(color));
+}
+
+// Moves are reported once per destination; the promotion piece is chosen
+// when the move is made
+function toMoveResult(move) {
+  const result = { toRow: move.to >> 4, toCol: move.to & 7 };
+  if (move.capture) result.capture = true;
+  if (move.enPassant) result.enPassant = true;
+  if (move.castling) result.castling = move.castling;
+  return result;
+}
+
+function getLegalMoves(gameState, row, col) {
+  const piece = gameState.board[row][col];
+  if (!piece) return [];
+
+  const pos = positionFromGameState(gameState);
+  return generateLegalMoves(pos, toSquare(row, col)).map(toMoveResult);
+}
+
+function squareToAlgebraic(row, col) {
+  return `${FILES[col]}${8 - row}`;
+}
+
+function algebraicToSquare(square) {
+  return { row: 8 - Number(square[1]), col: FILES.indexOf(square[0]) };
+}
+
+// SAN for a legal board move, without the check/mate suffix. Must be called
+// on the position before the move so other pieces can be disambiguated.
+function getMoveSanBase(pos, move) {
+  const piece = pos.squares[move.from];
+  const type = piece & TYPE_MASK;
+  const fromRow = move.from >> 4;
+  const fromCol = move.from & 7;
+
+  if (move.castling) {
+    return move.castling === 'kingSide' ? 'O-O' : 'O-O-O';
+  }
+
+  const isCapture = Boolean(move.capture);
+  const destination = squareToAlgebraic(move.to >> 4, move.to & 7);
+
+  if (type === PAWN) {
+    let san = isCapture ? `${FILES[fromCol]}x${destination}` : destination;
+    if (move.promotion) {
+      san += `=${TYPE_LETTERS[move.promotion & TYPE_MASK].toUpperCase()}`;
+    }
+    return san;
+  }
+
+  // Other pieces of the same kind that could also reach the destination
+  const rivals = [];
+  for (let sq = 0; sq < 128; sq++) {
+    if (sq & 0x88) {
+      sq += 7;
+      continue;
+    }
+    if (sq !== move.from && pos.squares[sq] === piece &&
+        generateLegalMoves(pos, sq).some(m => m.to === move.to)) {
+      rivals.push({ row: sq >> 4, col: sq & 7 });
+    }
+  }
+
+  let disambiguation = '';
+  if (rivals.length > 0) {
+    if (!rivals.some(r => r.col === fromCol)) {
+      disambiguation = FILES[fromCol];
+    } else if (!rivals.some(r => r.row === fromRow)) {
+      disambiguation = String(8 - fromRow);
+    } else {
+      disambiguation = squareToAlgebraic(fromRow, fromCol);
+    }
+  }
+
+  return `${TYPE_LETTERS[type].toUpperCase()}${disambiguation}${isCapture ? 'x' : ''}${destination}`;
+}
+
+function getSanSuffix(gameState) {
+  if (gameState.isCheckmate) return '#';
+  if (gameState.isCheck) return '+';
+  return '';
+}
+
+// Sets check/checkmate/stalemate/waiting for the side to move. Drops from
+// their bank count as legal moves, so a check that can be blocked by a drop is
+// not mate. options.bank is the bank of the side to move, options.rules the
+// room rules. Can be called again whenever that bank changes.
+function updateGameStatus(gameState, options = {}) {
+  const rules = { ...DEFAULT_RULES, ...options.rules };
+  const pos = positionFromGameState(gameState);
+  const status = evaluatePosition(pos, bankTypeCodes(options.bank, pos.turn), rules);
+
+  gameState.isCheck = status.isCheck;
+  gameState.isCheckmate = status.isCheckmate;
+  gameState.isStalemate = status.isStalemate;
+  gameState.isWaiting = status.isWaiting;
+  gameState.winner = status.isCheckmate ? colorName(opposite(pos.turn)) : null;
+}
+
+// options: { bank, rules } - see updateGameStatus
+function makeMove(gameState, fromRow, fromCol, toRow, toCol, promotion = null, options = {}) {
+  const { board, turn } = gameState;
+  const piece = board[fromRow][fromCol];
+
+  if (!piece || piece.color !== turn) {
+    return { success: false, error: 'Invalid piece or not your turn' };
+  }
+
+  if (promotion && !PROMOTION_PIECES.includes(promotion)) {
+    return { success: false, error: 'Invalid promotion piece' };
+  }
+
+  const pos = positionFromGameState(gameState);
+  const to = toSquare(toRow, toCol);
+  const move = generateLegalMoves(pos, toSquare(fromRow, fromCol)).find(m => m.to === to);
+
+  if (!move) {
+    return { success: false, error: 'Illegal move' };
+  }
+
+  // Handle pawn promotion - the promoted piece is flagged so that capturing
+  // it sends a pawn (not the promoted piece) to the bank
+  if (piece.type === PIECES.PAWN && (toRow === 0 || toRow === 7)) {
+    move.promotion = TYPE_CODES[promotion || PIECES.QUEEN] | pos.turn;
+  }
+
+  const sanBase = getMoveSanBase(pos, move);
+  const undo = makePositionMove(pos, move);
+  const capturedPiece = undo.captured ? pieceObject(undo.captured, undo.capturedFlags) : null;
+
+  const historyEntry = {
+    from: { row: fromRow, col: fromCol },
+    to: { row: toRow, col: toCol },
+    piece: piece,
+    captured: capturedPiece,
+    castling: move.castling,
+    enPassant: move.enPassant,
+    promotion: promotion
+  };
+
+  const newGameState = {
+    ...gameState,
+    board: boardFromPosition(pos),
+    turn: colorName(pos.turn),
+    castlingRights: castlingRightsFromPosition(pos),
+    enPassantTarget: pos.ep === -1 ? null : { row: pos.ep >> 4, col: pos.ep & 7 },
+    moveHistory: [...gameState.moveHistory, historyEntry],
+    // Reset game-over flags - they will be recalculated below
+    isCheck: false,
+    isCheckmate: false,
+    isStalemate: false,
+    isWaiting: false,
+    winner: null
+  };
+
+  // Check for check/checkmate/stalemate
+  updateGameStatus(newGameState, options);
+
+  historyEntry.san = sanBase + getSanSuffix(newGameState);
+
+  return {
+    success: true,
+    gameState: newGameState,
+    capturedPiece: capturedPiece
+  };
+}
+
+// Bughouse-specific: a captured promoted piece goes to the bank as a pawn
+function getBankPieceType(capturedPiece) {
+  return capturedPiece.promoted ? PIECES.PAWN : capturedPiece.type;
+}
+
+// Bughouse-specific: Drop a piece from bank onto the board
+function canDropPiece(board, pieceType, row, col, color, rules = DEFAULT_RULES) {
+  // Cannot drop on occupied square
+  if (board[row][col]) return false;
+
+  // Cannot drop pawns on first or last rank
+  if (pieceType === PIECES.PAWN && (row === 0 || row === 7)) {
+    return false;
+  }
+
+  // Optionally no pawn drops on the dropping side's 7th rank
+  const seventhRow = color === COLORS.WHITE ? 1 : 6;
+  if (pieceType === PIECES.PAWN && row === seventhRow && rules.allowPawnDropsOnSeventh === false) {
+    return false;
+  }
+
+  return true;
+}
+
+// options: { bank, rules } - see updateGameStatus
+function dropPiece(gameState, pieceType, row, col, color, options = {}) {
+  const rules = { ...DEFAULT_RULES, ...options.rules };
+
+  if (gameState.turn !== color) {
+    return { success: false, error: 'Not your turn' };
+  }
+
+  if (!canDropPiece(gameState.board, pieceType, row, col, color, rules) || !TYPE_CODES[pieceType] ||
+      pieceType === PIECES.KING) {
+    return { success: false, error: 'Cannot drop piece there' };
+  }
+
+  const pos = positionFromGameState(gameState);
+  const sq = toSquare(row, col);
+  const type = TYPE_CODES[pieceType];
+  putPiece(pos, sq, type | pos.turn, dropFlags(type, sq, pos.turn, rules));
+
+  // Check if drop puts own king in check (illegal)
+  if (isKingAttacked(pos, pos.turn)) {
+    return { success: false, error: 'Cannot drop piece - would be in check' };
+  }
+
+  const ruleError = getDropRuleError(pos, pos.turn, rules, options.bank);
+  if (ruleError) {
+    return { success: false, error: ruleError };
+  }
+
+  const nextTurn = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+
+  const historyEntry = {
+    drop: true,
+    pieceType: pieceType,
+    to: { row, col },
+    color: color
+  };
+
+  const newGameState = {
+    ...gameState,
+    board: boardFromPosition(pos),
+    turn: nextTurn,
+    enPassantTarget: null,
+    moveHistory: [...gameState.moveHistory, historyEntry],
+    // Reset game-over flags - they will be recalculated below
+    isCheck: false,
+    isCheckmate: false,
+    isStalemate: false,
+    isWaiting: false,
+    winner: null
+  };
+
+  // Check for check/checkmate/stalemate
+  updateGameStatus(newGameState, options);
+
+  historyEntry.san = `${pieceType.toUpperCase()}@${squareToAlgebraic(row, col)}${getSanSuffix(newGameState)}`;
+
+  return {
+    success: true,
+    gameState: newGameState
+  };
+}
+
+// options: { bank, rules } - bank is the opponent's, used for drop-mate rules
+function getValidDropSquares(board, pieceType, color, options = {}) {
+  const type = TYPE_CODES[pieceType];
+  if (!type || type === KING) return [];
+
+  const rules = { ...DEFAULT_RULES, ...options.rules };
+  const pos = positionFromBoard(board, color);
+  return getDropSquares(pos, type, colorBit(color), rules, options.bank)
+    .map(sq => ({ row: sq >> 4, col: sq & 7 }));
+}
+
+// Resolves a move in SAN (Nf3, exd5, O-O, e8=Q, N@f3, P@e4) or coordinate
+// notation (e2e4, e7e8=Q) against the side to move. Check/mate and
+// annotation suffixes are ignored.
+function parseSan(gameState, san) {
+  if (typeof san !== 'string') {
+    return { success: false, error: 'Invalid move text' };
+  }
+
+  const pos = positionFromGameState(gameState);
+  const legalMoves = generateAllLegalMoves(pos);
+  const text = san.trim().replace(/[+#!?]+$/, '').replace(/0/g, 'O');
+  const toResult = (move, promotion) => ({
+    success: true,
+    move: { fromRow: move.from >> 4, fromCol: move.from & 7, toRow: move.to >> 4, toCol: move.to & 7, promotion }
+  });
+
+  // Castling
+  if (text === 'O-O' || text === 'O-O-O') {
+    const castling = text === 'O-O' ? 'kingSide' : 'queenSide';
+    const move = legalMoves.find(m => m.castling === castling);
+    if (!move) {
+      return { success: false, error: `Illegal move: ${san}` };
+    }
+    return toResult(move, null);
+  }
+
+  // Drops
+  let match = text.match(/^([QRBNP])?@([a-h][1-8])$/);
+  if (match) {
+    const { row, col } = algebraicToSquare(match[2]);
+    return { success: true, move: { drop: true, pieceType: (match[1] || 'P').toLowerCase(), row, col } };
+  }
+
+  // Coordinate notation
+  match = text.match(/^([a-h][1-8])-?x?([a-h][1-8])(?:=?([QRBNqrbn]))?$/);
+  if (match) {
+    const from = algebraicToSquare(match[1]);
+    const to = algebraicToSquare(match[2]);
+    const move = legalMoves.find(m => m.from === toSquare(from.row, from.col) && m.to === toSquare(to.row, to.col));
+    if (!move) {
+      return { success: false, error: `Illegal move: ${san}` };
+    }
+    return toResult(move, match[3] ? match[3].toLowerCase() : null);
+  }
+
+  // Standard algebraic notation
+  match = text.match(/^([KQRBN])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([QRBN]))?$/);
+  if (!match) {
+    return { success: false, error: `Unrecognised move: ${san}` };
+  }
+
+  const type = TYPE_CODES[match[1] ? match[1].toLowerCase() : PIECES.PAWN];
+  const fromFile = match[2] ? FILES.indexOf(match[2]) : null;
+  const fromRank = match[3] ? 8 - Number(match[3]) : null;
+  const to = algebraicToSquare(match[4]);
+  const promotion = match[5] ? match[5].toLowerCase() : null;
+
+  const candidates = legalMoves.filter(m =>
+    (pos.squares[m.from] & TYPE_MASK) === type &&
+    m.to === toSquare(to.row, to.col) &&
+    (fromFile === null || (m.from & 7) === fromFile) &&
+    (fromRank === null || (m.from >> 4) === fromRank)
+  );
+
+  if (candidates.length === 0) {
+    return { success: false, error: `Illegal move: ${san}` };
+  }
+  if (candidates.length > 1) {
+    return { success: false, error: `Ambiguous move: ${san}` };
+  }
+
+  return toResult(candidates[0], promotion);
+}
+
+// Parses a move and plays it through makeMove/dropPiece
+function makeSanMove(gameState, san, options = {}) {
+  const parsed = parseSan(gameState, san);
+  if (!parsed.success) return parsed;
+
+  const { move } = parsed;
+  if (move.drop) {
+    return dropPiece(gameState, move.pieceType, move.row, move.col, gameState.turn, options);
+  }
+  return makeMove(gameState, move.fromRow, move.fromCol, move.toRow, move.toCol, move.promotion, options);
+}
+
+module.exports = {
+  PIECES,
+  COLORS,
+  PIECE_SYMBOLS,
+  DROPPABLE_PIECES,
+  DEFAULT_RULES,
+  createGameState,
+  createInitialBoard,
+  cloneBoard,
+  getLegalMoves,
+  makeMove,
+  dropPiece,
+  getValidDropSquares,
+  isInCheck,
+  updateGameStatus,
+  canDropPiece,
+  getBankPieceType,
+  parseSan,
+  makeSanMove,
+  perft
+};
@@ -0,0 +1,80 @@
+// Optimistic moves, used by the client
+// A player's own move or drop is shown as soon as it is sent, played on top of
+// the last state from the server the same way the server will play it. It
+// stays pending until the server answers: accepted, the server's state takes
+// over; refused, it is simply dropped. A pending move also lapses as soon as
+// the server's state no longer has room for it: the board moved on, the match
+// stopped, or the move isn't legal there any more. Clocks are left to the
+// server.
+//
+// Pending move: { position, boardIndex, moveCount, move }, where `move` is
+// { from, to, promotion } or a drop { pieceType, row, col }
+const { makeMove, dropPiece, getBankPieceType } = require('./chess');
+const { getTeammate, getOpponent, getPlayerBoard, getPlayerColor } = require('./seating');
+
+// The game state after the move, or null if the rules say no
+function predictMove(gameState, position, move, rules) {
+  const boardIndex = getPlayerBoard(position);
+  const color = getPlayerColor(position);
+  const options = { bank: gameState.pieceBanks[getOpponent(position)], rules };
+  const pieceBanks = { ...gameState.pieceBanks };
+
+  let result;
+  if (move.pieceType) {
+    const bank = pieceBanks[position];
+    const pieceIndex = bank.findIndex(p => p.type === move.pieceType);
+    if (pieceIndex === -1) return null;
+    result = dropPiece(gameState.boards[boardIndex], move.pieceType, move.row, move.col, color, options);
+    if (!result.success) return null;
+    pieceBanks[position] = bank.filter((_, i) => i !== pieceIndex);
+  } else {
+    const { from, to, promotion } = move;
+    result = makeMove(gameState.boards[boardIndex], from.row, from.col, to.row, to.col, promotion, options);
+    if (!result.success) return null;
+  }
+
+  // Captures go to the teammate's bank, promoted pieces as pawns
+  if (result.capturedPiece) {
+    const teammate = getTeammate(position);
+    pieceBanks[teammate] = [
+      ...pieceBanks[teammate],
+      { type: getBankPieceType(result.capturedPiece), color: getPlayerColor(teammate) }
+    ];
+  }
+
+  return {
+    ...gameState,
+    boards: gameState.boards.map((board, i) => i === boardIndex ? result.gameState : board),
+    pieceBanks
+  };
+}
+
+function createPendingMove(gameState, position, move) {
+  const boardIndex = getPlayerBoard(position);
+  return {
+    position,
+    boardIndex,
+    moveCount: gameState.boards[boardIndex].moveHistory.length,
+    move
+  };
+}
+
+// What the board shows: the server's state, with the pending move played on
+// top while it still fits
+function getDisplayedState(serverState, pending, rules) {
+  if (!pending || !serverState || serverState.state !== 'playing') return serverState;
+  if (serverState.boards[pending.boardIndex].moveHistory.length !== pending.moveCount) return serverState;
+  return predictMove(serverState, pending.position, pending.move, rules) || serverState;
+}
+
+// True once the server's state leaves no room for the pending move
+function hasLapsed(serverState, pending, rules) {
+  return Boolean(serverState) && getDisplayedState(serverState, pending, rules) === serverState;
+}
+
+module.exports = {
+  predictMove,
+  createPendingMove,
+  getDisplayedState,
+  hasLapsed
+};
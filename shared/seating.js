@@ -0,0 +1,45 @@
+// Seats and teams, used by both the server and the client
+// Seats (positions) 0-3:
+//   Board 0: Position 0 = White, Position 1 = Black
+//   Board 1: Position 2 = Black, Position 3 = White
+// Team A is 0 and 2, Team B is 1 and 3: teammates play opposite colors on
+// different boards.
+const { COLORS } = require('./chess');
+
+function getTeammate(playerIndex) {
+  // Team A: 0 <-> 2, Team B: 1 <-> 3
+  const teammates = { 0: 2, 1: 3, 2: 0, 3: 1 };
+  return teammates[playerIndex];
+}
+
+function getOpponent(playerIndex) {
+  // Board 0: 0 <-> 1, Board 1: 2 <-> 3
+  const opponents = { 0: 1, 1: 0, 2: 3, 3: 2 };
+  return opponents[playerIndex];
+}
+
+function getPlayerBoard(playerIndex) {
+  return playerIndex < 2 ? 0 : 1;
+}
+
+// Positions 0 and 3 are White; 1 and 2 are Black
+function getPlayerColor(playerIndex) {
+  return (playerIndex === 0 || playerIndex === 3) ? COLORS.WHITE : COLORS.BLACK;
+}
+
+function getPlayerTeam(playerIndex) {
+  return playerIndex % 2 === 0 ? 'A' : 'B';
+}
+
+function getSeat(boardIndex, color) {
+  return [0, 1, 2, 3].find(pos => getPlayerBoard(pos) === boardIndex && getPlayerColor(pos) === color);
+}
+
+module.exports = {
+  getTeammate,
+  getOpponent,
+  getPlayerBoard,
+  getPlayerColor,
+  getPlayerTeam,
+  getSeat
+};
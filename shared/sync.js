@@ -0,0 +1,138 @@
+// Game state sync, used by both the server and the client
+// Clients get a full snapshot of the game state when they join, reconnect or
+// ask for one, and otherwise a delta of what changed since the last update.
+// A board delta lists the squares that changed and the entries added to its
+// move history and captured pieces; banks and every other field are sent
+// whole when they change, and fields that are gone are listed by name. Deltas
+// are numbered by the server, so a client that sees a number other than the
+// next one knows it missed an update.
+//
+// Board delta: { squares: [{ row, col, piece }], added: { moveHistory }, fields: { turn, ... }, removed: [key] }
+// Game delta: { boards: { [index]: boardDelta }, pieceBanks: { [position]: bank }, fields: { clocks, ... }, removed: [key] }
+
+// Fields that only ever grow during a match
+const APPENDED_FIELDS = ['moveHistory', 'capturedPieces'];
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isEmpty(object) {
+  return Object.keys(object).length === 0;
+}
+
+// Keys set in prev that next no longer has (JSON drops undefined ones too)
+function getRemovedKeys(prev, next, skipped) {
+  return Object.keys(prev).filter(key =>
+    !skipped.includes(key) && prev[key] !== undefined && next[key] === undefined
+  );
+}
+
+function withoutKeys(object, keys) {
+  const next = { ...object };
+  keys.forEach(key => delete next[key]);
+  return next;
+}
+
+// Returns null when the boards can't be diffed, e.g. after a reset
+function diffBoardState(prev, next) {
+  const delta = {};
+
+  const squares = [];
+  next.board.forEach((row, rowIndex) => row.forEach((piece, col) => {
+    if (!isEqual(prev.board[rowIndex][col], piece)) {
+      squares.push({ row: rowIndex, col, piece });
+    }
+  }));
+  if (squares.length > 0) delta.squares = squares;
+
+  const added = {};
+  const fields = {};
+  for (const key of Object.keys(next)) {
+    if (key === 'board' || next[key] === undefined) continue;
+    if (APPENDED_FIELDS.includes(key)) {
+      if (next[key].length < prev[key].length) return null;
+      if (next[key].length > prev[key].length) added[key] = next[key].slice(prev[key].length);
+    } else if (!isEqual(prev[key], next[key])) {
+      fields[key] = next[key];
+    }
+  }
+  if (!isEmpty(added)) delta.added = added;
+  if (!isEmpty(fields)) delta.fields = fields;
+
+  const removed = getRemovedKeys(prev, next, ['board']);
+  if (removed.length > 0) delta.removed = removed;
+  return delta;
+}
+
+// What changed between two game states: an empty object when nothing did, or
+// null when only a snapshot will do
+function diffGameState(prev, next) {
+  if (!prev || prev.boards.length !== next.boards.length) return null;
+
+  const delta = {};
+
+  const boards = {};
+  for (let i = 0; i < next.boards.length; i++) {
+    const boardDelta = diffBoardState(prev.boards[i], next.boards[i]);
+    if (!boardDelta) return null;
+    if (!isEmpty(boardDelta)) boards[i] = boardDelta;
+  }
+  if (!isEmpty(boards)) delta.boards = boards;
+
+  const pieceBanks = {};
+  Object.keys(next.pieceBanks).forEach(position => {
+    if (!isEqual(prev.pieceBanks[position], next.pieceBanks[position])) {
+      pieceBanks[position] = next.pieceBanks[position];
+    }
+  });
+  if (!isEmpty(pieceBanks)) delta.pieceBanks = pieceBanks;
+
+  const fields = {};
+  Object.keys(next).forEach(key => {
+    if (key !== 'boards' && key !== 'pieceBanks' && next[key] !== undefined && !isEqual(prev[key], next[key])) {
+      fields[key] = next[key];
+    }
+  });
+  if (!isEmpty(fields)) delta.fields = fields;
+
+  const removed = getRemovedKeys(prev, next, ['boards', 'pieceBanks']);
+  if (removed.length > 0) delta.removed = removed;
+
+  return delta;
+}
+
+function applyBoardDelta(state, delta) {
+  const next = { ...withoutKeys(state, delta.removed || []), ...delta.fields };
+  if (delta.squares) {
+    next.board = state.board.map(row => [...row]);
+    delta.squares.forEach(({ row, col, piece }) => {
+      next.board[row][col] = piece;
+    });
+  }
+  if (delta.added) {
+    Object.keys(delta.added).forEach(key => {
+      next[key] = [...state[key], ...delta.added[key]];
+    });
+  }
+  return next;
+}
+
+// Returns a new game state; the one passed in is left as it was
+function applyGameDelta(state, delta) {
+  const next = { ...withoutKeys(state, delta.removed || []), ...delta.fields };
+  if (delta.boards) {
+    next.boards = state.boards.map((board, i) =>
+      delta.boards[i] ? applyBoardDelta(board, delta.boards[i]) : board
+    );
+  }
+  if (delta.pieceBanks) {
+    next.pieceBanks = { ...state.pieceBanks, ...delta.pieceBanks };
+  }
+  return next;
+}
+
+module.exports = {
+  diffGameState,
+  applyGameDelta
+};